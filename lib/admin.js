@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { addContract, getContract, listContracts, setContractStatus } = require('./contracts');
+const { computeAccount } = require('./margin');
+const { roundMoney } = require('./positions');
+const { readJson, writeFileAtomicSync } = require('./storage/files');
+
+const ADJUSTMENT_LIMIT = 50;
+
+function requireNote(note) {
+  const text = typeof note === 'string' ? note.trim() : '';
+  if (!text) {
+    throw new Error('请填写操作备注。');
+  }
+  return text.slice(0, 200);
+}
+
+function recordAdjustment(user, adjustment) {
+  user.adjustments = [adjustment, ...(user.adjustments || [])].slice(0, ADJUSTMENT_LIMIT);
+}
+
+// Contract additions and suspend/halt flags live in their own file so they are
+// applied on top of the built-in registry at startup.
+function createAdminService({ file, storage, engine, audit, initialBalance, getPrice }) {
+  let state = { added: [], status: {} };
+
+  function save() {
+    writeFileAtomicSync(file, JSON.stringify(state, null, 2));
+  }
+
+  function load() {
+    state = { added: [], status: {}, ...readJson(file, {}) };
+    for (const input of state.added) {
+      try {
+        const { symbol } = addContract(input);
+        engine.addSymbol(symbol);
+      } catch (err) {
+        console.warn(`Skipping stored contract ${input.symbol}: ${err.message}`);
+      }
+    }
+    for (const [symbol, status] of Object.entries(state.status)) {
+      if (getContract(symbol)) {
+        setContractStatus(symbol, status);
+      }
+    }
+  }
+
+  function describeUser(username) {
+    const user = storage.getUser(username);
+    const account = computeAccount(user, getPrice);
+    return {
+      username,
+      role: user.role || 'user',
+      balance: user.balance,
+      equity: account.equity,
+      usedMargin: account.usedMargin,
+      positions: Object.keys(user.holdings || {}).length,
+      openOrders: (user.orders || []).filter((order) => ['open', 'triggered'].includes(order.status)).length,
+      trades: (user.history || []).length,
+      marginCall: user.marginCall || null,
+      adjustments: (user.adjustments || []).slice(0, 5)
+    };
+  }
+
+  function listUsers(query = '') {
+    const keyword = query.trim().toLowerCase();
+    return storage
+      .listUsernames()
+      .filter((username) => !keyword || username.toLowerCase().includes(keyword))
+      .sort((a, b) => a.localeCompare(b))
+      .map(describeUser);
+  }
+
+  async function adjustBalance(actor, username, amount, note) {
+    const delta = Number(amount);
+    if (!Number.isFinite(delta) || delta === 0) {
+      throw new Error('调整金额必须为非零数字。');
+    }
+    const reason = requireNote(note);
+    const adjustment = await storage.withUser(username, (user) => {
+      const balanceAfter = roundMoney(user.balance + delta);
+      if (balanceAfter < 0) {
+        throw new Error('调整后余额不能为负。');
+      }
+      user.balance = balanceAfter;
+      const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        type: 'adjust',
+        amount: roundMoney(delta),
+        balanceAfter,
+        note: reason,
+        by: actor
+      };
+      recordAdjustment(user, entry);
+      return entry;
+    });
+    audit.record(actor, 'user.adjust', username, { amount: adjustment.amount, balanceAfter: adjustment.balanceAfter, note: reason });
+    return adjustment;
+  }
+
+  async function resetAccount(actor, username, note) {
+    const reason = requireNote(note);
+    const adjustment = await storage.withUser(username, (user) => {
+      const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date().toISOString(),
+        type: 'reset',
+        amount: roundMoney(initialBalance - user.balance),
+        balanceAfter: initialBalance,
+        note: reason,
+        by: actor
+      };
+      user.balance = initialBalance;
+      user.holdings = {};
+      user.history = [];
+      user.orders = [];
+      user.settlements = [];
+      delete user.marginCall;
+      delete user.lastLiquidation;
+      recordAdjustment(user, entry);
+      return entry;
+    });
+    audit.record(actor, 'user.reset', username, { balanceAfter: initialBalance, note: reason });
+    return adjustment;
+  }
+
+  function createContract(actor, input) {
+    const { symbol } = addContract(input || {});
+    const stored = { ...input, symbol };
+    state.added.push(stored);
+    save();
+    engine.addSymbol(symbol);
+    audit.record(actor, 'contract.add', symbol, { name: getContract(symbol).name });
+    return listContracts().find((item) => item.symbol === symbol);
+  }
+
+  function updateStatus(actor, symbol, action, note) {
+    const reason = typeof note === 'string' ? note.trim().slice(0, 200) : '';
+    const changes = {
+      suspend: { suspended: true },
+      list: { suspended: false },
+      halt: { halt: { reason, since: new Date().toISOString(), by: actor } },
+      resume: { halt: null }
+    }[action];
+    if (!changes) {
+      throw new Error('不支持的合约操作。');
+    }
+    setContractStatus(symbol, changes);
+    state.status[symbol] = { ...(state.status[symbol] || {}), ...changes };
+    save();
+    audit.record(actor, `contract.${action}`, symbol, reason ? { note: reason } : {});
+    return listContracts().find((item) => item.symbol === symbol);
+  }
+
+  load();
+
+  return {
+    adjustBalance,
+    createContract,
+    listUsers,
+    resetAccount,
+    updateStatus
+  };
+}
+
+module.exports = {
+  createAdminService
+};
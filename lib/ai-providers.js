@@ -0,0 +1,170 @@
+const { templateContent } = require('./insights');
+
+const DIRECTIONS = ['up', 'down'];
+
+function createTemplateProvider() {
+  return {
+    name: 'template',
+    generate({ pool, analysis, issuedAt }) {
+      return Promise.resolve(templateContent(pool, analysis, issuedAt));
+    }
+  };
+}
+
+function limitedText(value, field, max) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`AI 响应缺少字段 ${field}`);
+  }
+  return value.trim().slice(0, max);
+}
+
+// Coerces a model reply into the insight shape; anything missing or out of range is rejected.
+function validateContent(raw) {
+  const text = String(raw || '')
+    .replace(/^\s*```(?:json)?/i, '')
+    .replace(/```\s*$/, '')
+    .trim();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('AI 响应不是合法的 JSON');
+  }
+  if (!data || typeof data !== 'object') {
+    throw new Error('AI 响应不是合法的 JSON');
+  }
+  const direction = String(data.direction || '').toLowerCase();
+  if (!DIRECTIONS.includes(direction)) {
+    throw new Error('AI 响应的 direction 必须为 up 或 down');
+  }
+  // Below 50 the model contradicts its own direction; the calibration buckets start there
+  // and top out at 95.
+  const confidence = Math.round(Number(data.confidence));
+  if (!Number.isFinite(confidence) || confidence < 50 || confidence > 100) {
+    throw new Error('AI 响应的 confidence 必须为 50-100 的数字');
+  }
+  return {
+    headline: limitedText(data.headline, 'headline', 80),
+    narrative: limitedText(data.narrative, 'narrative', 600),
+    suggestion: limitedText(data.suggestion, 'suggestion', 200),
+    direction,
+    confidence: Math.min(confidence, 95)
+  };
+}
+
+function buildPrompt(contract, analysis) {
+  return [
+    {
+      role: 'system',
+      content:
+        '你是期货模拟盘的行情分析助手。根据用户提供的盘面信号，用简体中文给出一条短线方向研判。' +
+        '只输出一个 JSON 对象，字段为：headline（不超过 30 字的标题）、narrative（100-200 字的分析）、' +
+        'suggestion（一句操作建议）、direction（"up" 或 "down"）、confidence（50-95 的整数）。不要输出其他内容。'
+    },
+    {
+      role: 'user',
+      content: JSON.stringify({
+        contract: contract.name,
+        unit: contract.unit,
+        price: analysis.price,
+        modelDirection: analysis.direction,
+        modelConfidence: analysis.confidence,
+        signals: analysis.signals.map((signal) => ({ text: signal.text, bias: signal.bias })),
+        upcomingNews: analysis.upcoming ? analysis.upcoming.headline : null
+      })
+    }
+  ];
+}
+
+// Any server speaking the OpenAI chat completions API, e.g. a locally hosted model.
+function createOpenAiCompatibleProvider({ baseUrl, model, apiKey, timeoutMs = 15000, fetchImpl = fetch }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name: 'openai',
+    async generate({ contract, analysis }) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const response = await fetchImpl(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify({
+            model,
+            messages: buildPrompt(contract, analysis),
+            temperature: 0.4,
+            response_format: { type: 'json_object' }
+          }),
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          throw new Error(`AI 服务返回 ${response.status}`);
+        }
+        const body = await response.json();
+        return validateContent(body?.choices?.[0]?.message?.content);
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          throw new Error(`AI 服务超过 ${timeoutMs}ms 未响应`);
+        }
+        throw err;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+function createAiProvider(options) {
+  if (options.provider === 'openai') {
+    return createOpenAiCompatibleProvider(options);
+  }
+  if (options.provider && options.provider !== 'template') {
+    throw new Error(`Unknown AI provider: ${options.provider}`);
+  }
+  return createTemplateProvider();
+}
+
+// One generation per symbol per `cacheMs`, shared by every user; concurrent callers share the
+// in-flight request. Provider failures fall back to the template so the panel never goes empty.
+function createInsightGenerator({ provider, analyst, getContract, cacheMs = 5 * 60 * 1000, now = Date.now }) {
+  const fallback = createTemplateProvider();
+  const cache = new Map();
+
+  async function produce(symbol) {
+    const contract = getContract(symbol);
+    const analysis = analyst.analyze(symbol);
+    const issuedAt = now();
+    const request = { symbol, contract, pool: contract.insight, analysis, issuedAt };
+    let content;
+    try {
+      content = { ...(await provider.generate(request)), provider: provider.name };
+    } catch (err) {
+      console.warn(`AI provider ${provider.name} failed for ${symbol}: ${err.message}`);
+      content = { ...(await fallback.generate(request)), provider: fallback.name };
+    }
+    return { analysis, issuedAt, content };
+  }
+
+  function generate(symbol) {
+    const cached = cache.get(symbol);
+    if (cached && now() - cached.createdAt < cacheMs) {
+      return cached.promise;
+    }
+    const promise = produce(symbol);
+    cache.set(symbol, { createdAt: now(), promise });
+    promise.catch(() => cache.delete(symbol));
+    return promise;
+  }
+
+  return { generate };
+}
+
+module.exports = {
+  createAiProvider,
+  createInsightGenerator,
+  createOpenAiCompatibleProvider,
+  createTemplateProvider,
+  validateContent
+};
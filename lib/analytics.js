@@ -0,0 +1,185 @@
+const { roundMoney } = require('./positions');
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const MIN_RETURNS = 10;
+const MAX_CURVE_POINTS = 500;
+
+function ratio(value, digits = 2) {
+  return value === null || !Number.isFinite(value) ? null : Number(value.toFixed(digits));
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+// Admin resets wipe the trade history, so the curve starts over at the latest reset as well.
+function resetTime(adjustments) {
+  return adjustments
+    .filter((entry) => entry.type === 'reset')
+    .reduce((latest, entry) => Math.max(latest, Date.parse(entry.timestamp) || 0), 0);
+}
+
+// Balance adjustments are deposits/withdrawals, not performance: they are subtracted from the
+// curve used for drawdown and returns, while `equity` keeps the raw account value.
+function adjustedCurve(points, flows) {
+  return points.map((point) => {
+    const netFlow = sum(flows.filter((flow) => flow.time <= point.time).map((flow) => flow.amount));
+    return { time: point.time, equity: point.equity, adjusted: point.equity - netFlow };
+  });
+}
+
+function maxDrawdown(curve) {
+  let peak = null;
+  let worst = { amount: 0, percent: 0, peakAt: null, troughAt: null };
+  for (const point of curve) {
+    if (!peak || point.adjusted > peak.adjusted) {
+      peak = point;
+      continue;
+    }
+    const amount = peak.adjusted - point.adjusted;
+    if (amount > worst.amount) {
+      worst = {
+        amount,
+        percent: peak.adjusted > 0 ? (amount / peak.adjusted) * 100 : 0,
+        peakAt: peak.time,
+        troughAt: point.time
+      };
+    }
+  }
+  return {
+    amount: roundMoney(worst.amount),
+    percent: ratio(worst.percent),
+    peakAt: worst.peakAt && new Date(worst.peakAt).toISOString(),
+    troughAt: worst.troughAt && new Date(worst.troughAt).toISOString()
+  };
+}
+
+// Snapshots are sparse (unchanged accounts are skipped), so returns are taken on a regular
+// grid with the last known value carried forward, then annualised from the grid step.
+function sharpeRatio(curve, stepMs) {
+  if (curve.length < 2 || !stepMs) return null;
+  const returns = [];
+  let index = 0;
+  let previous = curve[0];
+  for (let time = curve[0].time + stepMs; time <= curve[curve.length - 1].time; time += stepMs) {
+    while (index + 1 < curve.length && curve[index + 1].time <= time) index += 1;
+    const point = curve[index];
+    if (previous.equity > 0) {
+      returns.push((point.adjusted - previous.adjusted) / previous.equity);
+    }
+    previous = point;
+  }
+  if (returns.length < MIN_RETURNS) return null;
+  const mean = sum(returns) / returns.length;
+  const deviation = Math.sqrt(sum(returns.map((value) => (value - mean) ** 2)) / (returns.length - 1));
+  return deviation > 0 ? ratio((mean / deviation) * Math.sqrt(YEAR_MS / stepMs)) : null;
+}
+
+function tradeStats(trades) {
+  const wins = trades.filter((entry) => entry.realizedPnl > 0).map((entry) => entry.realizedPnl);
+  const losses = trades.filter((entry) => entry.realizedPnl < 0).map((entry) => entry.realizedPnl);
+  const grossProfit = sum(wins);
+  const grossLoss = -sum(losses);
+  return {
+    closed: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length ? ratio((wins.length / trades.length) * 100) : null,
+    realizedPnl: roundMoney(grossProfit - grossLoss),
+    grossProfit: roundMoney(grossProfit),
+    grossLoss: roundMoney(grossLoss),
+    // Undefined with no losing trades; the client shows it as "—".
+    profitFactor: grossLoss > 0 ? ratio(grossProfit / grossLoss) : null,
+    averageWin: wins.length ? roundMoney(grossProfit / wins.length) : null,
+    averageLoss: losses.length ? roundMoney(-grossLoss / losses.length) : null,
+    largestWin: wins.length ? roundMoney(Math.max(...wins)) : null,
+    largestLoss: losses.length ? roundMoney(Math.min(...losses)) : null
+  };
+}
+
+function symbolAttribution(history, positions) {
+  const bySymbol = {};
+  const rowFor = (symbol) => {
+    if (!bySymbol[symbol]) {
+      bySymbol[symbol] = { symbol, realizedPnl: 0, openPnl: 0, trades: 0, closed: 0, wins: 0, volume: 0 };
+    }
+    return bySymbol[symbol];
+  };
+  for (const entry of history) {
+    const row = rowFor(entry.symbol);
+    row.trades += 1;
+    row.volume += Number(entry.quantity) || 0;
+    if (entry.offset === 'close' || entry.offset === 'reverse') {
+      row.closed += 1;
+      row.realizedPnl += Number(entry.realizedPnl) || 0;
+      if (entry.realizedPnl > 0) row.wins += 1;
+    }
+  }
+  for (const [symbol, position] of Object.entries(positions)) {
+    rowFor(symbol).openPnl += position.openPnl;
+  }
+  return Object.values(bySymbol)
+    .map((row) => ({
+      ...row,
+      realizedPnl: roundMoney(row.realizedPnl),
+      openPnl: roundMoney(row.openPnl),
+      totalPnl: roundMoney(row.realizedPnl + row.openPnl),
+      winRate: row.closed ? ratio((row.wins / row.closed) * 100) : null
+    }))
+    .sort((a, b) => b.totalPnl - a.totalPnl);
+}
+
+function sampleCurve(curve) {
+  if (curve.length <= MAX_CURVE_POINTS) return curve;
+  const stride = Math.ceil(curve.length / MAX_CURVE_POINTS);
+  return curve.filter((_, index) => index % stride === 0 || index === curve.length - 1);
+}
+
+// `snapshots` come from the equity recorder and `current` is the live valuation appended as the
+// final point. `positions` is computeAccount's per-symbol map, used for open P&L attribution.
+function computeAnalytics({ history = [], adjustments = [], snapshots = [], current, positions = {}, from, stepMs }) {
+  const start = Math.max(resetTime(adjustments), from || 0);
+  const points = [...snapshots, current].filter((point) => point && point.time >= start).sort((a, b) => a.time - b.time);
+  const flows = adjustments
+    .filter((entry) => entry.type !== 'reset')
+    .map((entry) => ({ time: Date.parse(entry.timestamp), amount: Number(entry.amount) || 0 }))
+    .filter((flow) => points.length && flow.time > points[0].time);
+  const curve = adjustedCurve(points, flows);
+  const first = curve[0];
+  const last = curve[curve.length - 1];
+  const trades = history.filter(
+    (entry) => Date.parse(entry.timestamp) >= start && (entry.offset === 'close' || entry.offset === 'reverse')
+  );
+
+  let peak = -Infinity;
+  return {
+    since: first ? new Date(first.time).toISOString() : null,
+    stepMs,
+    curve: sampleCurve(curve).map((point) => {
+      peak = Math.max(peak, point.adjusted);
+      return {
+        time: new Date(point.time).toISOString(),
+        equity: roundMoney(point.equity),
+        adjustedEquity: roundMoney(point.adjusted),
+        drawdown: peak > 0 ? ratio(((point.adjusted - peak) / peak) * 100) : 0
+      };
+    }),
+    performance: {
+      startEquity: first ? roundMoney(first.equity) : null,
+      endEquity: last ? roundMoney(last.equity) : null,
+      netFlows: roundMoney(sum(flows.map((flow) => flow.amount))),
+      totalReturn: first && first.equity > 0 ? ratio(((last.adjusted - first.adjusted) / first.equity) * 100) : null,
+      maxDrawdown: maxDrawdown(curve),
+      sharpe: sharpeRatio(curve, stepMs)
+    },
+    trades: tradeStats(trades),
+    bySymbol: symbolAttribution(
+      history.filter((entry) => Date.parse(entry.timestamp) >= start),
+      positions
+    )
+  };
+}
+
+module.exports = {
+  computeAnalytics
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Append-only JSONL log of admin actions; the most recent entries are kept in memory.
+function createAuditLog({ file, limit = 1000 }) {
+  let entries = [];
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    entries = fs
+      .readFileSync(file, 'utf-8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (err) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  function record(actor, action, target, details = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor,
+      action,
+      target,
+      ...details
+    };
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, 'utf-8');
+    entries = [entry, ...entries].slice(0, limit);
+    return entry;
+  }
+
+  function list({ target, limit: count = 100 } = {}) {
+    return entries.filter((entry) => !target || entry.target === target).slice(0, count);
+  }
+
+  load();
+
+  return {
+    list,
+    record
+  };
+}
+
+module.exports = {
+  createAuditLog
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+
+function encodeHash(salt, derived, params = SCRYPT_PARAMS) {
+  return ['scrypt', params.N, params.r, params.p, salt.toString('hex'), derived.toString('hex')].join('$');
+}
+
+function decodeHash(stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return null;
+  }
+  return {
+    params: { N: Number(parts[1]), r: Number(parts[2]), p: Number(parts[3]) },
+    salt: Buffer.from(parts[4], 'hex'),
+    hash: Buffer.from(parts[5], 'hex')
+  };
+}
+
+function scrypt(password, salt, keylen, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, params, (err, derived) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(derived);
+    });
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(password), salt, KEY_LENGTH, SCRYPT_PARAMS);
+  return encodeHash(salt, derived);
+}
+
+function hashPasswordSync(password) {
+  const salt = crypto.randomBytes(16);
+  const derived = crypto.scryptSync(String(password), salt, KEY_LENGTH, SCRYPT_PARAMS);
+  return encodeHash(salt, derived);
+}
+
+// Unknown users are checked against a throwaway hash so the response time
+// does not reveal whether the username exists.
+const DUMMY_HASH = hashPasswordSync(crypto.randomBytes(16).toString('hex'));
+
+async function verifyPassword(password, stored) {
+  const decoded = decodeHash(stored || DUMMY_HASH);
+  if (!decoded) {
+    return false;
+  }
+  const derived = await scrypt(String(password), decoded.salt, decoded.hash.length, decoded.params);
+  return crypto.timingSafeEqual(derived, decoded.hash) && Boolean(stored);
+}
+
+function validatePassword(password, username) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `密码至少需要 ${PASSWORD_MIN_LENGTH} 位。`;
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    return `密码不能超过 ${PASSWORD_MAX_LENGTH} 位。`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return '密码需同时包含字母和数字。';
+  }
+  if (username && password.toLowerCase() === String(username).toLowerCase()) {
+    return '密码不能与用户名相同。';
+  }
+  return null;
+}
+
+function createLoginLimiter(options = {}) {
+  const maxAttempts = options.maxAttempts || 5;
+  const maxIpAttempts = options.maxIpAttempts || maxAttempts * 4;
+  const windowMs = options.windowMs || 15 * 60 * 1000;
+  const lockMs = options.lockMs || 15 * 60 * 1000;
+  const records = new Map();
+
+  function current(key, now) {
+    const record = records.get(key);
+    if (!record) return null;
+    if (record.lockedUntil && record.lockedUntil <= now) {
+      records.delete(key);
+      return null;
+    }
+    if (!record.lockedUntil && now - record.firstFailureAt > windowMs) {
+      records.delete(key);
+      return null;
+    }
+    return record;
+  }
+
+  function keys(username, ip) {
+    return [
+      { key: `user:${username}`, limit: maxAttempts },
+      { key: `ip:${ip}`, limit: maxIpAttempts }
+    ];
+  }
+
+  return {
+    check(username, ip, now = Date.now()) {
+      let lockedUntil = 0;
+      for (const { key } of keys(username, ip)) {
+        const record = current(key, now);
+        if (record && record.lockedUntil) {
+          lockedUntil = Math.max(lockedUntil, record.lockedUntil);
+        }
+      }
+      return lockedUntil ? { locked: true, retryAfterMs: lockedUntil - now } : { locked: false };
+    },
+    recordFailure(username, ip, now = Date.now()) {
+      for (const { key, limit } of keys(username, ip)) {
+        const record = current(key, now) || { failures: 0, firstFailureAt: now, lockedUntil: 0 };
+        record.failures += 1;
+        if (record.failures >= limit) {
+          record.lockedUntil = now + lockMs;
+        }
+        records.set(key, record);
+      }
+    },
+    recordSuccess(username) {
+      records.delete(`user:${username}`);
+    }
+  };
+}
+
+module.exports = {
+  createLoginLimiter,
+  hashPassword,
+  hashPasswordSync,
+  validatePassword,
+  verifyPassword
+};
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./storage/files');
+
+const MINUTE_MS = 60 * 1000;
+// Buckets are aligned to exchange time (UTC+8) so daily candles start at local midnight.
+const CST_OFFSET_MS = 8 * 60 * MINUTE_MS;
+
+const INTERVALS = {
+  '1m': { ms: MINUTE_MS, keep: 2880 },
+  '5m': { ms: 5 * MINUTE_MS, keep: 2016 },
+  '15m': { ms: 15 * MINUTE_MS, keep: 2880 },
+  '1h': { ms: 60 * MINUTE_MS, keep: 2160 },
+  '1d': { ms: 24 * 60 * MINUTE_MS, keep: 1000 }
+};
+
+function bucketStart(timestamp, intervalMs) {
+  return Math.floor((timestamp + CST_OFFSET_MS) / intervalMs) * intervalMs - CST_OFFSET_MS;
+}
+
+// Volume counts price updates in the bucket (tick volume); the simulator has no order book.
+function createCandleStore({ engine, dir }) {
+  const series = new Map();
+  const pending = new Map();
+  const lineCounts = new Map();
+
+  function fileFor(symbol, interval) {
+    return path.join(dir, symbol, `${interval}.jsonl`);
+  }
+
+  function readSeries(symbol, interval) {
+    const file = fileFor(symbol, interval);
+    if (!fs.existsSync(file)) return [];
+    const byTime = new Map();
+    const lines = fs.readFileSync(file, 'utf-8').split('\n').filter((line) => line.trim());
+    lineCounts.set(`${symbol}:${interval}`, lines.length);
+    for (const line of lines) {
+      try {
+        const candle = JSON.parse(line);
+        byTime.set(candle.time, candle);
+      } catch (err) {
+        console.warn(`Skipping unreadable candle in ${file}`);
+      }
+    }
+    const candles = Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+    return candles.slice(-INTERVALS[interval].keep);
+  }
+
+  function getSeries(symbol, interval) {
+    const key = `${symbol}:${interval}`;
+    if (!series.has(key)) {
+      series.set(key, readSeries(symbol, interval));
+    }
+    return series.get(key);
+  }
+
+  function queue(symbol, interval, candle) {
+    const key = `${symbol}:${interval}`;
+    pending.set(key, [...(pending.get(key) || []), candle]);
+  }
+
+  function record(quote) {
+    const timestamp = Date.parse(quote.timestamp);
+    for (const [interval, { ms, keep }] of Object.entries(INTERVALS)) {
+      const candles = getSeries(quote.symbol, interval);
+      const time = bucketStart(timestamp, ms);
+      const last = candles[candles.length - 1];
+      if (last && last.time === time) {
+        last.high = Math.max(last.high, quote.price);
+        last.low = Math.min(last.low, quote.price);
+        last.close = quote.price;
+        last.volume += 1;
+        continue;
+      }
+      if (last) {
+        queue(quote.symbol, interval, last);
+      }
+      candles.push({ time, open: quote.price, high: quote.price, low: quote.price, close: quote.price, volume: 1 });
+      if (candles.length > keep) {
+        candles.splice(0, candles.length - keep);
+      }
+    }
+  }
+
+  function compact(symbol, interval) {
+    const file = fileFor(symbol, interval);
+    const candles = getSeries(symbol, interval);
+    writeFileAtomicSync(file, candles.map((candle) => JSON.stringify(candle)).join('\n') + '\n');
+    lineCounts.set(`${symbol}:${interval}`, candles.length);
+  }
+
+  // Closed candles are appended; files are rewritten once they hold twice the retained window.
+  function flush({ includeOpen = false } = {}) {
+    const keys = new Set(pending.keys());
+    if (includeOpen) {
+      series.forEach((candles, key) => candles.length && keys.add(key));
+    }
+    for (const key of keys) {
+      const [symbol, interval] = key.split(':');
+      const candles = [...(pending.get(key) || [])];
+      const open = getSeries(symbol, interval).slice(-1)[0];
+      if (includeOpen && open) candles.push(open);
+      pending.delete(key);
+      if (!candles.length) continue;
+      const file = fileFor(symbol, interval);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, candles.map((candle) => JSON.stringify(candle)).join('\n') + '\n', 'utf-8');
+      const lines = (lineCounts.get(key) || 0) + candles.length;
+      lineCounts.set(key, lines);
+      if (lines > INTERVALS[interval].keep * 2) {
+        compact(symbol, interval);
+      }
+    }
+  }
+
+  function query(symbol, interval, { from, to, limit = 300 } = {}) {
+    if (!INTERVALS[interval]) {
+      throw new Error(`不支持的K线周期：${interval}`);
+    }
+    const candles = getSeries(symbol, interval).filter(
+      (candle) => (from === undefined || candle.time >= from) && (to === undefined || candle.time <= to)
+    );
+    const selected = from !== undefined && to === undefined ? candles.slice(0, limit) : candles.slice(-limit);
+    return {
+      candles: selected.map((candle) => ({ ...candle })),
+      hasMore: selected.length ? getSeries(symbol, interval)[0].time < selected[0].time : false
+    };
+  }
+
+  // Close of the candle covering `time`, from the finest interval that still retains it.
+  function closeAt(symbol, time) {
+    for (const [interval, { ms }] of Object.entries(INTERVALS)) {
+      const candles = getSeries(symbol, interval);
+      if (!candles.length || candles[0].time > time) continue;
+      const candle = candles.find((item) => item.time + ms > time);
+      return candle ? candle.close : null;
+    }
+    return null;
+  }
+
+  let flushTimer = null;
+  const onTick = (quote) => record(quote);
+
+  return {
+    closeAt,
+    flush,
+    query,
+    record,
+    start(flushIntervalMs = 30 * 1000) {
+      engine.on('tick', onTick);
+      flushTimer = setInterval(() => flush(), flushIntervalMs);
+      flushTimer.unref();
+    },
+    stop() {
+      engine.off('tick', onTick);
+      clearInterval(flushTimer);
+      flush({ includeOpen: true });
+    }
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  createCandleStore
+};
@@ -0,0 +1,511 @@
+const { MODEL_TYPES } = require('./price-models');
+const { SESSION_TEMPLATES, createTradingCalendar } = require('./trading-calendar');
+
+const contracts = {
+  HOG: {
+    name: '生猪期货',
+    unit: '元/吨',
+    currency: 'CNY',
+    slug: 'hog',
+    summary: '猪肉产业链行情与供需节奏',
+    description: '聚焦生猪供需、出栏节奏与饲料成本的模拟行情。',
+    tagline: '登录后即可在生猪期货行情中交易与回顾盈亏。',
+    hint: '价格每数秒自动波动，交易按照最新价即时成交。',
+    defaultQuantity: 2,
+    calendar: 'commodity',
+    startPrice: 22000,
+    minPrice: 12000,
+    volatility: 420,
+    model: {
+      type: 'meanReversion',
+      sigma: 0.004,
+      reversion: 0.01,
+      seasonality: { amplitude: 0.08, periodDays: 365, peakDay: 258 },
+      clustering: { alpha: 0.08, beta: 0.9 },
+      jumps: { probability: 0.003, mean: 0, stdev: 0.02 }
+    },
+    multiplier: 16,
+    tickSize: 5,
+    initialMarginRate: 0.12,
+    maintenanceMarginRate: 0.09,
+    insight: {
+      headline: '生猪期货AI快报',
+      drivers: ['饲料成本变动', '供给调控政策', '疫病防控动态', '消费淡旺季切换', '冻品库存变化'],
+      outcomes: [
+        {
+          direction: 'up',
+          impact: '可能推动生猪期价震荡走高',
+          advice: '可考虑逢低吸纳多单，并严格设置风险位。'
+        },
+        {
+          direction: 'up',
+          impact: '有望带动盘面延续升势',
+          advice: '顺势加仓需注意节奏，建议分批布局。'
+        },
+        {
+          direction: 'down',
+          impact: '或令生猪期价承压回落',
+          advice: '多单宜减仓观望，可适当考虑防御性空单。'
+        },
+        {
+          direction: 'down',
+          impact: '大概率触发短线回调',
+          advice: '建议锁定利润，控制杠杆等待企稳信号。'
+        }
+      ]
+    }
+  },
+  GOLD: {
+    name: '黄金期货',
+    unit: '元/克',
+    currency: 'CNY',
+    slug: 'gold',
+    summary: '避险资产与全球宏观风向',
+    description: '联动宏观利率、美元与避险需求的黄金合约模拟。',
+    tagline: '登录后把握黄金期货的避险节奏与波动机遇。',
+    hint: '行情结合宏观事件随机波动，立即下单体验黄金策略。',
+    defaultQuantity: 2,
+    calendar: 'metalsNight',
+    startPrice: 430,
+    minPrice: 320,
+    volatility: 6,
+    model: {
+      type: 'gbm',
+      sigma: 0.002,
+      drift: 0.000005,
+      clustering: { alpha: 0.05, beta: 0.93 },
+      jumps: { probability: 0.001, mean: 0, stdev: 0.01 }
+    },
+    multiplier: 1000,
+    tickSize: 0.02,
+    initialMarginRate: 0.1,
+    maintenanceMarginRate: 0.08,
+    insight: {
+      headline: '黄金期货AI播报',
+      drivers: ['美联储利率预期', '美元指数波动', '避险需求', '实物金流入', '全球通胀走势'],
+      outcomes: [
+        {
+          direction: 'up',
+          impact: '料将支撑金价震荡上行',
+          advice: '可逢回调逐步建立多单，并关注美元走势。'
+        },
+        {
+          direction: 'up',
+          impact: '或触发突破性上涨',
+          advice: '顺势做多同时控制仓位，警惕突发消息。'
+        },
+        {
+          direction: 'down',
+          impact: '恐加剧金价回落压力',
+          advice: '建议减轻多头敞口，关注支撑位表现。'
+        },
+        {
+          direction: 'down',
+          impact: '可能引发避险情绪降温后的下行',
+          advice: '可考虑短线试空，并设置紧密止损。'
+        }
+      ]
+    }
+  },
+  MOUTAI: {
+    name: '白酒主力（茅台）',
+    unit: '元/手',
+    currency: 'CNY',
+    slug: 'maotai',
+    summary: '高端消费品的价格博弈',
+    description: '关注高端白酒批价与渠道动销的主力合约模拟。',
+    tagline: '登录后追踪茅台主力资金的价格节奏与盈亏。',
+    hint: '结合渠道动销、批价变化等因素驱动的白酒行情模拟。',
+    defaultQuantity: 5,
+    calendar: 'equity',
+    startPrice: 1800,
+    minPrice: 900,
+    volatility: 35,
+    model: {
+      type: 'gbm',
+      sigma: 0.003,
+      clustering: { alpha: 0.06, beta: 0.9 },
+      jumps: { probability: 0.002, mean: 0, stdev: 0.015 }
+    },
+    multiplier: 10,
+    tickSize: 1,
+    initialMarginRate: 0.15,
+    maintenanceMarginRate: 0.12,
+    insight: {
+      headline: '白酒主力AI简报',
+      drivers: ['渠道动销反馈', '批价走势', '节假日备货', '消费信心指数', '原料成本'],
+      outcomes: [
+        {
+          direction: 'up',
+          impact: '有望推升白酒主力期价稳步走强',
+          advice: '多单可持有并择机加仓，但需关注成交量。'
+        },
+        {
+          direction: 'up',
+          impact: '或令盘面重拾升势',
+          advice: '建议逢低布局多单，同时设置浮盈保护。'
+        },
+        {
+          direction: 'down',
+          impact: '可能压制价格重心下移',
+          advice: '多单需及时止盈，空单可轻仓尝试。'
+        },
+        {
+          direction: 'down',
+          impact: '大概率引发短线调整',
+          advice: '建议观望或采取空头对冲策略。'
+        }
+      ]
+    }
+  },
+  CRUDE: {
+    name: '原油期货',
+    unit: '元/桶',
+    currency: 'CNY',
+    slug: 'crude',
+    summary: '全球能源供需与地缘风险',
+    description: '聚焦OPEC政策、库存与地缘风险的原油走势模拟。',
+    tagline: '登录后追踪原油供需与地缘变量的实时波动。',
+    hint: '模拟OPEC决策、库存变化等因素对原油行情的影响。',
+    defaultQuantity: 5,
+    calendar: 'metalsNight',
+    startPrice: 72,
+    minPrice: 40,
+    volatility: 3,
+    model: {
+      type: 'meanReversion',
+      sigma: 0.005,
+      reversion: 0.005,
+      clustering: { alpha: 0.1, beta: 0.88 },
+      jumps: { probability: 0.004, mean: 0, stdev: 0.025 }
+    },
+    multiplier: 1000,
+    tickSize: 0.1,
+    initialMarginRate: 0.12,
+    maintenanceMarginRate: 0.1,
+    insight: {
+      headline: '原油期货AI速递',
+      drivers: ['OPEC+产量指引', '全球需求预期', '地缘政治风险', '美元走势', '库存数据'],
+      outcomes: [
+        {
+          direction: 'up',
+          impact: '或推升油价震荡走高',
+          advice: '建议分批做多并关注库存数据变化。'
+        },
+        {
+          direction: 'up',
+          impact: '有望带来拉升行情',
+          advice: '顺势持有多单，但应做好风险对冲。'
+        },
+        {
+          direction: 'down',
+          impact: '可能引发油价回落',
+          advice: '多单需收紧止损，短线空单可尝试介入。'
+        },
+        {
+          direction: 'down',
+          impact: '大概率压制反弹力度',
+          advice: '以反弹做空为主，谨慎追高。'
+        }
+      ]
+    }
+  },
+  SOY: {
+    name: '豆粕期货',
+    unit: '元/吨',
+    currency: 'CNY',
+    slug: 'soy',
+    summary: '饲料成本与农产品周期',
+    description: '跟踪饲料需求与全球大豆供给的豆粕走势模拟。',
+    tagline: '登录后管理豆粕行情下的持仓与盈亏表现。',
+    hint: '关注供需、天气与基差的变化，感受豆粕行情起伏。',
+    defaultQuantity: 10,
+    calendar: 'commodityNight',
+    startPrice: 3900,
+    minPrice: 2600,
+    volatility: 70,
+    model: {
+      type: 'meanReversion',
+      sigma: 0.003,
+      reversion: 0.008,
+      seasonality: { amplitude: 0.05, periodDays: 365, peakDay: 200 },
+      clustering: { alpha: 0.06, beta: 0.9 },
+      jumps: { probability: 0.002, mean: 0, stdev: 0.015 }
+    },
+    multiplier: 10,
+    tickSize: 1,
+    initialMarginRate: 0.1,
+    maintenanceMarginRate: 0.08,
+    insight: {
+      headline: '豆粕期货AI观察',
+      drivers: ['南美产量预估', '国内压榨开机率', '饲料需求', '进口成本', '远期基差'],
+      outcomes: [
+        {
+          direction: 'up',
+          impact: '预计支撑豆粕价格震荡抬升',
+          advice: '多单可逐步建立，但需留意原料供应。'
+        },
+        {
+          direction: 'up',
+          impact: '或推动盘面偏强运行',
+          advice: '建议沿趋势做多，同时关注美元粮价联动。'
+        },
+        {
+          direction: 'down',
+          impact: '可能拖累价格下行',
+          advice: '多单应减持，空单可轻仓跟进。'
+        },
+        {
+          direction: 'down',
+          impact: '大概率导致盘面承压震荡',
+          advice: '以逢高沽空为主，控制仓位防反抽。'
+        }
+      ]
+    }
+  }
+};
+
+// Pairwise correlations of per-tick returns, e.g. soybean meal is the main hog feed cost.
+const correlations = [
+  ['HOG', 'SOY', 0.6],
+  ['GOLD', 'CRUDE', 0.3],
+  ['CRUDE', 'SOY', 0.25],
+  ['GOLD', 'MOUTAI', -0.1]
+];
+
+let calendar = createTradingCalendar();
+
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9]{1,11}$/;
+const SLUG_PATTERN = /^[a-z][a-z0-9-]{1,31}$/;
+
+function defaultInsight(name) {
+  return {
+    headline: `${name}AI快报`,
+    drivers: ['供需格局变化', '宏观政策预期', '资金流向', '库存变化', '季节性因素'],
+    outcomes: [
+      { direction: 'up', impact: `可能推动${name}震荡走高`, advice: '可考虑逢低布局多单，并设置好止损。' },
+      { direction: 'up', impact: '有望带动盘面延续升势', advice: '顺势持有多单，注意控制仓位。' },
+      { direction: 'down', impact: `或令${name}承压回落`, advice: '多单宜减仓观望，可轻仓尝试空单。' },
+      { direction: 'down', impact: '大概率触发短线回调', advice: '建议锁定利润，等待企稳信号。' }
+    ]
+  };
+}
+
+function positiveNumber(value, label) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${label}必须为正数。`);
+  }
+  return number;
+}
+
+function marginRate(value, label) {
+  const rate = positiveNumber(value, label);
+  if (rate >= 1) {
+    throw new Error(`${label}需在 0-1 之间。`);
+  }
+  return rate;
+}
+
+function text(value, fallback = '') {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, 200) : fallback;
+}
+
+function tradingCalendar(value) {
+  if (value === undefined || value === '') {
+    return 'commodity';
+  }
+  if (!Object.prototype.hasOwnProperty.call(SESSION_TEMPLATES, value)) {
+    throw new Error('交易时段模板不存在。');
+  }
+  return value;
+}
+
+function priceModel(value) {
+  if (value === undefined || value === '') {
+    return 'gbm';
+  }
+  if (!MODEL_TYPES.includes(value)) {
+    throw new Error('价格模型不存在。');
+  }
+  return value;
+}
+
+function addContract(input) {
+  const symbol = typeof input.symbol === 'string' ? input.symbol.trim().toUpperCase() : '';
+  if (!SYMBOL_PATTERN.test(symbol)) {
+    throw new Error('合约代码需为 2-12 位大写字母或数字，且以字母开头。');
+  }
+  if (getContract(symbol)) {
+    throw new Error('合约代码已存在。');
+  }
+  const name = text(input.name);
+  if (!name) {
+    throw new Error('请填写合约名称。');
+  }
+  const slug = text(input.slug, symbol.toLowerCase()).toLowerCase();
+  if (!SLUG_PATTERN.test(slug) || findSymbolBySlug(slug)) {
+    throw new Error('页面标识不合法或已被占用。');
+  }
+  const startPrice = positiveNumber(input.startPrice, '初始价格');
+  const minPrice = positiveNumber(input.minPrice, '最低价格');
+  if (minPrice >= startPrice) {
+    throw new Error('最低价格需低于初始价格。');
+  }
+  const initialMarginRate = marginRate(input.initialMarginRate, '初始保证金比例');
+  const maintenanceMarginRate = marginRate(input.maintenanceMarginRate, '维持保证金比例');
+  if (maintenanceMarginRate > initialMarginRate) {
+    throw new Error('维持保证金比例不能高于初始保证金比例。');
+  }
+  const contract = {
+    name,
+    unit: text(input.unit),
+    currency: 'CNY',
+    slug,
+    summary: text(input.summary),
+    description: text(input.description),
+    tagline: text(input.tagline, `登录后即可在${name}行情中交易与回顾盈亏。`),
+    hint: text(input.hint, '价格每数秒自动波动，交易按照最新价即时成交。'),
+    defaultQuantity: Number.isInteger(Number(input.defaultQuantity)) && Number(input.defaultQuantity) > 0 ? Number(input.defaultQuantity) : 1,
+    calendar: tradingCalendar(input.calendar),
+    startPrice,
+    minPrice,
+    volatility: positiveNumber(input.volatility, '波动幅度'),
+    model: { type: priceModel(input.model) },
+    multiplier: positiveNumber(input.multiplier, '合约乘数'),
+    tickSize: positiveNumber(input.tickSize, '最小变动价位'),
+    initialMarginRate,
+    maintenanceMarginRate,
+    insight: defaultInsight(name)
+  };
+  contracts[symbol] = contract;
+  return { symbol, contract };
+}
+
+function setContractStatus(symbol, { suspended, halt }) {
+  const contract = getContract(symbol);
+  if (!contract) {
+    throw new Error('合约不存在。');
+  }
+  if (suspended !== undefined) {
+    contract.suspended = Boolean(suspended);
+  }
+  if (halt !== undefined) {
+    contract.halt = halt || null;
+  }
+  return contract;
+}
+
+function configureCalendar(options) {
+  calendar = createTradingCalendar(options);
+}
+
+function getSessions(symbol) {
+  const contract = getContract(symbol);
+  return contract ? SESSION_TEMPLATES[contract.calendar] || [] : [];
+}
+
+// Whether the CST calendar day containing `now` is an exchange trading day.
+function isTradingDay(now = Date.now()) {
+  return calendar.isTradingDay(now);
+}
+
+function getMarketStatus(symbol, now = Date.now()) {
+  return getContract(symbol) ? calendar.getStatus(getSessions(symbol), now) : null;
+}
+
+function formatCst(iso) {
+  return new Date(iso).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai', hour12: false });
+}
+
+// Returns the reason new orders on a symbol are refused, or null when it is tradable.
+function tradingRestriction(symbol) {
+  const contract = getContract(symbol);
+  if (!contract) {
+    return `未知合约：${symbol}`;
+  }
+  if (contract.suspended) {
+    return '该合约已下架，暂停交易。';
+  }
+  if (contract.halt) {
+    return contract.halt.reason ? `该合约已暂停交易：${contract.halt.reason}` : '该合约已暂停交易。';
+  }
+  const status = getMarketStatus(symbol);
+  if (!status.open) {
+    return status.nextOpen ? `当前休市，下次开盘时间：${formatCst(status.nextOpen)}（北京时间）。` : '当前休市。';
+  }
+  return null;
+}
+
+function getContract(symbol) {
+  return Object.prototype.hasOwnProperty.call(contracts, symbol) ? contracts[symbol] : null;
+}
+
+function listSymbols() {
+  return Object.keys(contracts);
+}
+
+function getContractSpecs() {
+  const specs = {};
+  for (const [symbol, contract] of Object.entries(contracts)) {
+    specs[symbol] = {
+      multiplier: contract.multiplier,
+      tickSize: contract.tickSize,
+      initialMarginRate: contract.initialMarginRate,
+      maintenanceMarginRate: contract.maintenanceMarginRate
+    };
+  }
+  return specs;
+}
+
+function listContracts() {
+  return Object.entries(contracts).map(([symbol, contract]) => ({
+    symbol,
+    name: contract.name,
+    unit: contract.unit,
+    currency: contract.currency,
+    slug: contract.slug,
+    summary: contract.summary,
+    description: contract.description,
+    tagline: contract.tagline,
+    hint: contract.hint,
+    defaultQuantity: contract.defaultQuantity,
+    multiplier: contract.multiplier,
+    tickSize: contract.tickSize,
+    initialMarginRate: contract.initialMarginRate,
+    maintenanceMarginRate: contract.maintenanceMarginRate,
+    calendar: contract.calendar,
+    sessions: getSessions(symbol),
+    suspended: Boolean(contract.suspended),
+    halt: contract.halt || null
+  }));
+}
+
+function findSymbolBySlug(slug) {
+  return Object.keys(contracts).find((symbol) => contracts[symbol].slug === slug) || null;
+}
+
+function roundToTick(price, tickSize) {
+  if (!tickSize) {
+    return Number(price.toFixed(2));
+  }
+  const decimals = (String(tickSize).split('.')[1] || '').length;
+  return Number((Math.round(price / tickSize) * tickSize).toFixed(decimals));
+}
+
+module.exports = {
+  addContract,
+  configureCalendar,
+  contracts,
+  correlations,
+  findSymbolBySlug,
+  getContract,
+  getContractSpecs,
+  getMarketStatus,
+  isTradingDay,
+  listContracts,
+  listSymbols,
+  roundToTick,
+  setContractStatus,
+  tradingRestriction
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomicSync } = require('./storage/files');
+const { computeAccount } = require('./margin');
+
+// Periodic marked-to-market snapshots, one JSONL file per account. A snapshot is only written
+// when equity or balance moved, so idle accounts cost nothing; readers carry the last value forward.
+function createEquityRecorder({ storage, getPrice, dir, intervalMs = 5 * 60 * 1000, keep = 10000, now = Date.now }) {
+  const latest = new Map();
+  const lineCounts = new Map();
+  let timer = null;
+
+  function fileFor(username) {
+    return path.join(dir, `${encodeURIComponent(username)}.jsonl`);
+  }
+
+  function readSnapshots(username) {
+    const file = fileFor(username);
+    if (!fs.existsSync(file)) return [];
+    const lines = fs.readFileSync(file, 'utf-8').split('\n').filter((line) => line.trim());
+    lineCounts.set(username, lines.length);
+    const snapshots = [];
+    for (const line of lines) {
+      try {
+        snapshots.push(JSON.parse(line));
+      } catch (err) {
+        console.warn(`Skipping unreadable equity snapshot in ${file}`);
+      }
+    }
+    return snapshots.sort((a, b) => a.time - b.time).slice(-keep);
+  }
+
+  function lastSnapshot(username) {
+    if (!latest.has(username)) {
+      latest.set(username, readSnapshots(username).slice(-1)[0] || null);
+    }
+    return latest.get(username);
+  }
+
+  function compact(username) {
+    const snapshots = readSnapshots(username);
+    writeFileAtomicSync(fileFor(username), snapshots.map((snapshot) => JSON.stringify(snapshot)).join('\n') + '\n');
+    lineCounts.set(username, snapshots.length);
+  }
+
+  function current(username) {
+    const user = storage.getUser(username);
+    if (!user) return null;
+    const account = computeAccount(user, getPrice);
+    return {
+      time: now(),
+      equity: account.equity,
+      balance: account.balance,
+      unrealizedPnl: account.unrealizedPnl,
+      usedMargin: account.usedMargin
+    };
+  }
+
+  function record(username) {
+    const snapshot = current(username);
+    if (!snapshot) return false;
+    const previous = lastSnapshot(username);
+    if (previous && previous.equity === snapshot.equity && previous.balance === snapshot.balance) {
+      return false;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(fileFor(username), JSON.stringify(snapshot) + '\n', 'utf-8');
+    latest.set(username, snapshot);
+    const lines = (lineCounts.get(username) || 0) + 1;
+    lineCounts.set(username, lines);
+    if (lines > keep * 2) {
+      compact(username);
+    }
+    return true;
+  }
+
+  function snapshotAll() {
+    let written = 0;
+    for (const username of storage.listUsernames()) {
+      try {
+        if (record(username)) written += 1;
+      } catch (err) {
+        console.warn(`Failed to record equity for ${username}: ${err.message}`);
+      }
+    }
+    return written;
+  }
+
+  function query(username, { from } = {}) {
+    return readSnapshots(username).filter((snapshot) => from === undefined || snapshot.time >= from);
+  }
+
+  return {
+    current,
+    intervalMs,
+    query,
+    record,
+    snapshotAll,
+    start() {
+      snapshotAll();
+      timer = setInterval(snapshotAll, intervalMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  createEquityRecorder
+};
@@ -0,0 +1,268 @@
+const zlib = require('zlib');
+const { getContract } = require('./contracts');
+const { roundMoney } = require('./positions');
+
+const BOM = '\uFEFF';
+const SIDE_LABELS = { buy: '买入', sell: '卖出' };
+const OFFSET_LABELS = { open: '开仓', close: '平仓', reverse: '反手' };
+
+// Spreadsheet-friendly local time, e.g. "2026-10-19 16:35:20" (Beijing time, like the sessions).
+function formatTimestamp(value) {
+  return value ? new Date(value).toLocaleString('sv-SE', { timeZone: 'Asia/Shanghai' }) : '';
+}
+
+function contractName(symbol) {
+  const contract = getContract(symbol);
+  return contract ? contract.name : symbol;
+}
+
+const TRADE_COLUMNS = [
+  { header: '成交时间', value: (entry) => formatTimestamp(entry.timestamp) },
+  { header: '合约代码', value: (entry) => entry.symbol },
+  { header: '合约名称', value: (entry) => contractName(entry.symbol) },
+  { header: '方向', value: (entry) => SIDE_LABELS[entry.type] || entry.type },
+  {
+    header: '开平',
+    value: (entry) => {
+      if (entry.liquidation) return '强平';
+      if (entry.migration) return '迁移平仓';
+      return OFFSET_LABELS[entry.offset] || '';
+    }
+  },
+  { header: '数量（手）', value: (entry) => entry.quantity },
+  { header: '成交价', value: (entry) => entry.price },
+  { header: '平仓盈亏', value: (entry) => entry.realizedPnl ?? 0 },
+  { header: '成交后持仓', value: (entry) => entry.positionAfter },
+  { header: '成交后余额', value: (entry) => entry.balanceAfter },
+  { header: '委托编号', value: (entry) => entry.orderId || '' },
+  { header: '成交编号', value: (entry) => entry.id }
+];
+
+const POSITION_COLUMNS = [
+  { header: '合约代码', value: (row) => row.symbol },
+  { header: '合约名称', value: (row) => contractName(row.symbol) },
+  { header: '方向', value: (row) => (row.position > 0 ? '多' : '空') },
+  { header: '持仓（手）', value: (row) => Math.abs(row.position) },
+  { header: '持仓均价', value: (row) => row.averagePrice },
+  { header: '结算价', value: (row) => row.settlementPrice },
+  { header: '最新价', value: (row) => row.markPrice },
+  { header: '合约乘数', value: (row) => row.multiplier },
+  { header: '市值', value: (row) => row.notional },
+  { header: '占用保证金', value: (row) => row.margin },
+  { header: '持仓盈亏', value: (row) => row.openPnl },
+  { header: '盯市盈亏', value: (row) => row.unrealizedPnl }
+];
+
+const STATEMENT_COLUMNS = [
+  { header: '结算日', value: (row) => row.date },
+  { header: '结算时间', value: (row) => formatTimestamp(row.settledAt) },
+  { header: '当日成交笔数', value: (row) => row.trades },
+  { header: '当日平仓盈亏', value: (row) => row.realizedPnl },
+  { header: '盯市盈亏', value: (row) => row.variationMargin },
+  { header: '结算后余额', value: (row) => row.balance },
+  { header: '账户权益', value: (row) => row.equity },
+  { header: '占用保证金', value: (row) => row.usedMargin },
+  { header: '维持保证金', value: (row) => row.maintenanceMargin },
+  {
+    header: '结算价',
+    value: (row) =>
+      Object.entries(row.prices || {})
+        .map(([symbol, price]) => `${symbol} ${price}`)
+        .join('; ')
+  }
+];
+
+// Each settlement covers the trades made since the previous one.
+function statementRows(settlements, history) {
+  const ordered = [...settlements].sort((a, b) => Date.parse(a.settledAt) - Date.parse(b.settledAt));
+  return ordered.map((record, index) => {
+    const start = index ? Date.parse(ordered[index - 1].settledAt) : -Infinity;
+    const end = Date.parse(record.settledAt);
+    const trades = history.filter((entry) => {
+      const time = Date.parse(entry.timestamp);
+      return time > start && time <= end;
+    });
+    const realized = trades.reduce((sum, entry) => sum + (Number(entry.realizedPnl) || 0), 0);
+    return { ...record, trades: trades.length, realizedPnl: roundMoney(realized) };
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  // Text that Excel would evaluate as a formula is kept literal.
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// UTF-8 with a byte order mark so Excel detects the encoding of the Chinese headers.
+function toCsv(columns, rows) {
+  const lines = [columns.map((column) => csvCell(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => csvCell(column.value(row))).join(','));
+  });
+  return Buffer.from(`${BOM}${lines.join('\r\n')}\r\n`, 'utf-8');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function xlsxCell(value, ref) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (value === null || value === undefined || value === '') return '';
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml(columns, rows) {
+  const values = [
+    columns.map((column) => column.header),
+    ...rows.map((row) => columns.map((column) => column.value(row)))
+  ];
+  const body = values
+    .map((cells, rowIndex) => {
+      const line = rowIndex + 1;
+      return `<row r="${line}">${cells.map((value, i) => xlsxCell(value, `${columnName(i)}${line}`)).join('')}</row>`;
+    })
+    .join('');
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${body}</sheetData></worksheet>`
+  );
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 1980-01-01; entries carry no meaningful modification time.
+const DOS_DATE = (1 << 5) | 1;
+
+// Minimal ZIP writer (deflate, no extra fields): enough for the handful of parts in an .xlsx.
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, content } of files) {
+    const nameBuffer = Buffer.from(name, 'utf-8');
+    const data = Buffer.from(content, 'utf-8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function toXlsx(sheetName, columns, rows) {
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: sheetXml(columns, rows) }
+  ]);
+}
+
+module.exports = {
+  POSITION_COLUMNS,
+  STATEMENT_COLUMNS,
+  TRADE_COLUMNS,
+  statementRows,
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,142 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const SIDES = ['buy', 'sell'];
+const ORDERS = ['asc', 'desc'];
+const SORT_KEYS = {
+  time: (entry) => Date.parse(entry.timestamp) || 0,
+  pnl: (entry) => Number(entry.realizedPnl) || 0,
+  quantity: (entry) => Number(entry.quantity) || 0,
+  price: (entry) => Number(entry.price) || 0
+};
+
+function isClosing(entry) {
+  return entry.offset === 'close' || entry.offset === 'reverse';
+}
+
+const PNL_FILTERS = {
+  win: (entry) => isClosing(entry) && entry.realizedPnl > 0,
+  loss: (entry) => isClosing(entry) && entry.realizedPnl < 0,
+  closed: isClosing,
+  open: (entry) => !isClosing(entry)
+};
+
+function optionalNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error('盈亏区间参数格式不正确。');
+  }
+  return number;
+}
+
+// Validates everything except `from`/`to`, which the caller has already parsed to millis.
+function normalizeFilters({ symbol, side, pnl, minPnl, maxPnl, from, to, sort, order } = {}) {
+  if (side && !SIDES.includes(side)) {
+    throw new Error('方向参数不合法。');
+  }
+  if (pnl && !Object.hasOwn(PNL_FILTERS, pnl)) {
+    throw new Error('盈亏筛选参数不合法。');
+  }
+  if (sort && !Object.hasOwn(SORT_KEYS, sort)) {
+    throw new Error('排序字段不合法。');
+  }
+  if (order && !ORDERS.includes(order)) {
+    throw new Error('排序方向不合法。');
+  }
+  return {
+    symbols: (symbol || '')
+      .split(',')
+      .map((item) => item.trim().toUpperCase())
+      .filter(Boolean),
+    side: side || null,
+    pnl: pnl || null,
+    minPnl: optionalNumber(minPnl),
+    maxPnl: optionalNumber(maxPnl),
+    from,
+    to,
+    sort: sort || 'time',
+    order: order || 'desc'
+  };
+}
+
+function matches(entry, filters) {
+  const time = Date.parse(entry.timestamp);
+  const realized = Number(entry.realizedPnl) || 0;
+  return (
+    (!filters.symbols.length || filters.symbols.includes(entry.symbol)) &&
+    (!filters.side || entry.type === filters.side) &&
+    (!filters.pnl || PNL_FILTERS[filters.pnl](entry)) &&
+    (filters.minPnl === undefined || realized >= filters.minPnl) &&
+    (filters.maxPnl === undefined || realized <= filters.maxPnl) &&
+    (filters.from === undefined || time >= filters.from) &&
+    (filters.to === undefined || time <= filters.to)
+  );
+}
+
+// Ties on the sort key are broken by trade id so every entry has a fixed position.
+function comparator(filters) {
+  const direction = filters.order === 'asc' ? 1 : -1;
+  return (a, b) => {
+    const difference = a.value - b.value;
+    if (difference) return difference * direction;
+    return (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) * direction;
+  };
+}
+
+function sortKey(entry, filters) {
+  return { value: SORT_KEYS[filters.sort](entry), id: String(entry.id) };
+}
+
+function selectEntries(history, filters) {
+  const compare = comparator(filters);
+  return history
+    .filter((entry) => matches(entry, filters))
+    .map((entry) => ({ entry, ...sortKey(entry, filters) }))
+    .sort(compare)
+    .map(({ entry }) => entry);
+}
+
+function filterHistory(history, options) {
+  return selectEntries(history, normalizeFilters(options));
+}
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    if (typeof value !== 'number' || typeof id !== 'string') throw new Error();
+    return { value, id };
+  } catch (err) {
+    throw new Error('分页游标无效。');
+  }
+}
+
+// The cursor records the last returned entry's sort key, so pages stay stable while new
+// trades are being added at the head of the history.
+function pageHistory(history, { cursor, limit, ...options } = {}) {
+  const filters = normalizeFilters(options);
+  const size = Math.min(Math.max(Math.floor(Number(limit)) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const compare = comparator(filters);
+  const sorted = selectEntries(history, filters);
+  let start = 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    start = sorted.findIndex((entry) => compare(sortKey(entry, filters), after) > 0);
+    if (start === -1) start = sorted.length;
+  }
+  const page = sorted.slice(start, start + size);
+  const last = page.length && start + size < sorted.length ? sortKey(page[page.length - 1], filters) : null;
+  return {
+    history: page,
+    total: sorted.length,
+    nextCursor: last ? encodeCursor(last.value, last.id) : null
+  };
+}
+
+module.exports = {
+  filterHistory,
+  pageHistory
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { readJson, writeFileAtomic } = require('./storage/files');
+const { buildInsight, evaluateInsights, summarizeInsights } = require('./insights');
+
+// One shared insight stream per contract, generated on a server-side schedule and persisted
+// in `file`. Symbols only get new insights while they trade, except for the very first one.
+function createInsightFeed({
+  file,
+  generator,
+  getContract,
+  listSymbols,
+  closeAt,
+  isActive = () => true,
+  minIntervalMs = 30 * 60 * 1000,
+  maxIntervalMs = 90 * 60 * 1000,
+  checkMs = 60 * 1000,
+  now = Date.now
+}) {
+  const state = { symbols: {}, ...readJson(file, {}) };
+  let timer = null;
+  let running = null;
+
+  function feedFor(symbol) {
+    if (!state.symbols[symbol]) {
+      state.symbols[symbol] = { entries: [], nextRefreshAt: null };
+    }
+    return state.symbols[symbol];
+  }
+
+  // Only called from runOnce, so writes never overlap.
+  async function save() {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await writeFileAtomic(file, JSON.stringify(state));
+  }
+
+  function nextSlot(from) {
+    return new Date(from + minIntervalMs + Math.random() * (maxIntervalMs - minIntervalMs)).toISOString();
+  }
+
+  function isDue(feed) {
+    return !feed.entries.length || !(Date.parse(feed.nextRefreshAt) > now());
+  }
+
+  async function refresh(symbol) {
+    const { analysis, issuedAt, content } = await generator.generate(symbol);
+    const insight = buildInsight(getContract(symbol).insight, analysis, issuedAt, content);
+    const feed = feedFor(symbol);
+    feed.entries.unshift(insight);
+    feed.nextRefreshAt = nextSlot(now());
+    return insight;
+  }
+
+  async function runOnce() {
+    let changed = false;
+    for (const symbol of listSymbols()) {
+      const feed = feedFor(symbol);
+      if (evaluateInsights(feed.entries, closeAt, now())) {
+        changed = true;
+      }
+      if (!isDue(feed) || (feed.entries.length && !isActive(symbol))) continue;
+      try {
+        await refresh(symbol);
+        changed = true;
+      } catch (err) {
+        console.warn(`Failed to generate AI insight for ${symbol}: ${err.message}`);
+      }
+    }
+    if (changed) {
+      await save().catch((err) => {
+        console.warn(`Failed to save AI insights: ${err.message}`);
+      });
+    }
+  }
+
+  // Overlapping runs (slow providers) share the one in progress.
+  function tick() {
+    if (!running) {
+      running = runOnce().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  function list(symbol, limit = 3) {
+    return feedFor(symbol).entries.slice(0, limit);
+  }
+
+  function nextRefreshAt(symbol) {
+    return feedFor(symbol).nextRefreshAt;
+  }
+
+  function unreadCount(symbol, lastRead) {
+    const since = Date.parse(lastRead || '');
+    return feedFor(symbol).entries.filter((entry) => Number.isNaN(since) || Date.parse(entry.issuedAt) > since).length;
+  }
+
+  function latestIssuedAt(symbol) {
+    const [latest] = feedFor(symbol).entries;
+    return latest ? latest.issuedAt : null;
+  }
+
+  function scorecard(symbol) {
+    const entries = feedFor(symbol).entries;
+    return {
+      scorecard: summarizeInsights(entries),
+      recent: entries
+        .filter((entry) => entry.evaluation)
+        .slice(0, 10)
+        .map(({ id, issuedAt, direction, confidence, driver, price, evaluation }) => ({
+          id,
+          issuedAt,
+          direction,
+          confidence,
+          driver,
+          price,
+          evaluation
+        }))
+    };
+  }
+
+  return {
+    latestIssuedAt,
+    list,
+    nextRefreshAt,
+    scorecard,
+    tick,
+    unreadCount,
+    start() {
+      tick();
+      timer = setInterval(tick, checkMs);
+      timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+module.exports = {
+  createInsightFeed
+};
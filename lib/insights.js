@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const Indicators = require('../public/indicators');
+
+const MIN_CANDLES = 30;
+const HORIZON_MINUTES = 30;
+const CALIBRATION_BUCKETS = [
+  { label: '50-59%', min: 50, max: 59 },
+  { label: '60-69%', min: 60, max: 69 },
+  { label: '70-79%', min: 70, max: 79 },
+  { label: '80-95%', min: 80, max: 95 }
+];
+const WEIGHTS = { trend: 0.3, momentum: 0.25, macd: 0.2, rsi: 0.15, boll: 0.1, news: 0.6 };
+
+function clamp(value, limit = 1) {
+  return Math.max(-limit, Math.min(limit, value));
+}
+
+function last(values) {
+  return values[values.length - 1];
+}
+
+function stdev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+}
+
+function percent(value) {
+  return `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`;
+}
+
+// Reads 1-minute candles and scheduled news and scores each signal from -1 (bearish) to 1 (bullish).
+function createMarketAnalyst({ engine, candleStore, news }) {
+  function technicalSignals(closes) {
+    const signals = [];
+    const returns = closes.slice(1).map((close, index) => Math.log(close / closes[index]));
+    const volatility = stdev(returns.slice(-60)) || 1e-6;
+    const price = last(closes);
+
+    const ma5 = last(Indicators.sma(closes, 5));
+    const ma20 = last(Indicators.sma(closes, 20));
+    const spread = Math.log(ma5 / ma20);
+    signals.push({
+      name: 'trend',
+      bias: clamp(spread / (volatility * 3)),
+      text: `MA5 ${ma5 >= ma20 ? '位于' : '跌破'} MA20（${percent(spread)}）`
+    });
+
+    const lookback = Math.min(30, closes.length - 1);
+    const change = Math.log(price / closes[closes.length - 1 - lookback]);
+    signals.push({
+      name: 'momentum',
+      bias: clamp(change / (volatility * Math.sqrt(lookback) * 2)),
+      text: `近 ${lookback} 分钟${change >= 0 ? '上涨' : '下跌'} ${Math.abs(change * 100).toFixed(2)}%`
+    });
+
+    const { histogram } = Indicators.macd(closes, 12, 26, 9);
+    const bar = last(histogram);
+    const previousBar = histogram[histogram.length - 2];
+    if (bar !== null && previousBar !== null) {
+      const expanding = Math.abs(bar) > Math.abs(previousBar);
+      signals.push({
+        name: 'macd',
+        bias: (bar >= 0 ? 1 : -1) * (expanding ? 0.8 : 0.4),
+        text: `MACD ${bar >= 0 ? '红柱' : '绿柱'}${expanding ? '放大' : '收窄'}`
+      });
+    }
+
+    const rsi = last(Indicators.rsi(closes, 14));
+    if (rsi !== null) {
+      let bias = (rsi - 50) / 40;
+      let label = '中性';
+      if (rsi >= 70) {
+        bias = -0.6;
+        label = '超买';
+      } else if (rsi <= 30) {
+        bias = 0.6;
+        label = '超卖';
+      }
+      signals.push({ name: 'rsi', bias: clamp(bias), text: `RSI(14) ${rsi.toFixed(1)}，${label}` });
+    }
+
+    const bands = Indicators.bollinger(closes, 20, 2);
+    const upper = last(bands.upper);
+    const lower = last(bands.lower);
+    if (upper !== null && upper > lower) {
+      const position = (price - lower) / (upper - lower);
+      let text;
+      if (position > 1) text = '价格突破布林带上轨';
+      else if (position < 0) text = '价格跌破布林带下轨';
+      else if (position > 0.5) text = '价格运行于布林带上半区';
+      else text = '价格运行于布林带下半区';
+      signals.push({ name: 'boll', bias: clamp((0.5 - position) * 0.8), text });
+    }
+
+    return { signals, volatility };
+  }
+
+  function analyze(symbol) {
+    const quote = engine.getQuote(symbol);
+    const closes = candleStore.query(symbol, '1m', { limit: 120 }).candles.map((candle) => candle.close);
+    let signals = [];
+    let volatility = null;
+    if (closes.length >= MIN_CANDLES) {
+      ({ signals, volatility } = technicalSignals(closes));
+    } else if (quote) {
+      const change = quote.openPrice ? Math.log(quote.price / quote.openPrice) : 0;
+      signals.push({ name: 'momentum', bias: clamp(change * 20), text: `K 线数据积累中，较开盘${percent(change)}` });
+    }
+
+    const event = news.active(symbol);
+    if (event) {
+      signals.push({ name: 'news', bias: event.direction === 'up' ? 1 : -1, text: event.headline });
+    }
+
+    const totalWeight = signals.reduce((sum, signal) => sum + WEIGHTS[signal.name], 0);
+    const score = totalWeight
+      ? signals.reduce((sum, signal) => sum + WEIGHTS[signal.name] * signal.bias, 0) / totalWeight
+      : 0;
+    let confidence = 50 + Math.abs(score) * 45;
+    if (closes.length < MIN_CANDLES) confidence = Math.min(confidence, 60);
+    const strongest = signals
+      .filter((signal) => Math.sign(signal.bias) === Math.sign(score || 1))
+      .sort((a, b) => WEIGHTS[b.name] * Math.abs(b.bias) - WEIGHTS[a.name] * Math.abs(a.bias))[0];
+    return {
+      symbol,
+      price: quote ? quote.price : null,
+      direction: score >= 0 ? 'up' : 'down',
+      score: Number(score.toFixed(3)),
+      confidence: Math.round(Math.min(95, confidence)),
+      volatility: volatility === null ? null : Number(volatility.toFixed(6)),
+      signals: signals.map((signal) => ({ ...signal, bias: Number(signal.bias.toFixed(2)) })),
+      driver: strongest ? strongest.text : '盘面信号分歧',
+      newsId: event ? event.id : null,
+      upcoming: news.upcoming(symbol)
+    };
+  }
+
+  return { analyze };
+}
+
+function pickOutcome(pool, direction, confidence) {
+  const outcomes = pool.outcomes.filter((outcome) => outcome.direction === direction);
+  return outcomes[confidence >= 75 ? outcomes.length - 1 : 0] || pool.outcomes[0];
+}
+
+// Default narrative: assembled from the contract's insight pool and the analysis signals.
+function templateContent(pool, analysis, issuedAtMillis) {
+  const outcome = pickOutcome(pool, analysis.direction, analysis.confidence);
+  const issuedLabel = new Date(issuedAtMillis).toLocaleString('zh-CN', { hour12: false });
+  const directionLabel = analysis.direction === 'up' ? '看涨' : '看跌';
+  const evidence = analysis.signals.map((signal) => signal.text).join('；');
+  let narrative = `${issuedLabel}，模型综合${evidence || '盘面'}，判断${outcome.impact}，置信度约为${analysis.confidence}%。`;
+  if (analysis.upcoming) {
+    narrative += `另有${analysis.upcoming.headline}，届时波动可能加大。`;
+  }
+  return {
+    headline: `${pool.headline}｜${directionLabel}`,
+    narrative,
+    suggestion: outcome.advice,
+    direction: analysis.direction,
+    confidence: analysis.confidence
+  };
+}
+
+function buildInsight(pool, analysis, issuedAtMillis, content = templateContent(pool, analysis, issuedAtMillis)) {
+  return {
+    id: crypto.randomUUID(),
+    symbol: analysis.symbol,
+    issuedAt: new Date(issuedAtMillis).toISOString(),
+    headline: content.headline,
+    narrative: content.narrative,
+    suggestion: content.suggestion,
+    direction: content.direction,
+    driver: analysis.driver,
+    impact: pickOutcome(pool, content.direction, content.confidence).impact,
+    confidence: content.confidence,
+    price: analysis.price,
+    horizonMinutes: HORIZON_MINUTES,
+    score: analysis.score,
+    signals: analysis.signals,
+    newsId: analysis.newsId,
+    provider: content.provider || 'template'
+  };
+}
+
+// Scores each call once its horizon has passed; entries issued before prices were recorded are skipped.
+function evaluateInsights(entries, closeAt, now = Date.now()) {
+  let evaluated = 0;
+  for (const entry of entries) {
+    if (entry.evaluation || !entry.price) continue;
+    const target = Date.parse(entry.issuedAt) + (entry.horizonMinutes || HORIZON_MINUTES) * 60 * 1000;
+    if (Number.isNaN(target) || target > now) continue;
+    const exitPrice = closeAt(entry.symbol, target);
+    if (exitPrice === null) continue;
+    const change = (exitPrice - entry.price) / entry.price;
+    entry.evaluation = {
+      evaluatedAt: new Date(now).toISOString(),
+      exitPrice,
+      changePercent: Number((change * 100).toFixed(4)),
+      hit: entry.direction === 'up' ? change > 0 : change < 0
+    };
+    evaluated += 1;
+  }
+  return evaluated;
+}
+
+function rate(hits, count) {
+  return count ? Number(((hits / count) * 100).toFixed(2)) : null;
+}
+
+function average(values) {
+  return values.length ? Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(4)) : null;
+}
+
+function summarizeInsights(entries) {
+  const scored = entries.filter((entry) => entry.evaluation);
+  const hits = scored.filter((entry) => entry.evaluation.hit);
+  // Moves are signed in the direction of the call, so a positive average means calls paid off.
+  const directedMove = (entry) => (entry.direction === 'up' ? 1 : -1) * entry.evaluation.changePercent;
+  const calibration = CALIBRATION_BUCKETS.map((bucket) => {
+    const items = scored.filter((entry) => entry.confidence >= bucket.min && entry.confidence <= bucket.max);
+    return {
+      label: bucket.label,
+      count: items.length,
+      averageConfidence: average(items.map((entry) => entry.confidence)),
+      hitRate: rate(items.filter((entry) => entry.evaluation.hit).length, items.length)
+    };
+  });
+  const byDirection = {};
+  for (const direction of ['up', 'down']) {
+    const items = scored.filter((entry) => entry.direction === direction);
+    byDirection[direction] = {
+      count: items.length,
+      hitRate: rate(items.filter((entry) => entry.evaluation.hit).length, items.length)
+    };
+  }
+  return {
+    total: entries.length,
+    evaluated: scored.length,
+    pending: entries.filter((entry) => !entry.evaluation && entry.price).length,
+    hits: hits.length,
+    hitRate: rate(hits.length, scored.length),
+    averageMove: average(scored.map(directedMove)),
+    averageAbsoluteMove: average(scored.map((entry) => Math.abs(entry.evaluation.changePercent))),
+    averageConfidence: average(scored.map((entry) => entry.confidence)),
+    horizonMinutes: HORIZON_MINUTES,
+    byDirection,
+    calibration
+  };
+}
+
+module.exports = {
+  buildInsight,
+  createMarketAnalyst,
+  evaluateInsights,
+  summarizeInsights,
+  templateContent
+};
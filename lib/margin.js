@@ -0,0 +1,54 @@
+const { getContract } = require('./contracts');
+const { roundMoney } = require('./positions');
+
+function computeAccount(user, getPrice) {
+  const balance = Number(user.balance) || 0;
+  const positions = {};
+  let unrealizedPnl = 0;
+  let usedMargin = 0;
+  let maintenanceMargin = 0;
+
+  for (const [symbol, holding] of Object.entries(user.holdings || {})) {
+    const position = Number(holding.position) || 0;
+    if (!position) continue;
+    const contract = getContract(symbol);
+    const multiplier = contract ? contract.multiplier : 1;
+    const averagePrice = Number(holding.averagePrice) || 0;
+    const basis = holding.settlementPrice !== undefined ? Number(holding.settlementPrice) || 0 : averagePrice;
+    const markPrice = getPrice(symbol) ?? averagePrice;
+    const notional = Math.abs(position) * markPrice * multiplier;
+    const pnl = (markPrice - basis) * position * multiplier;
+    const openPnl = (markPrice - averagePrice) * position * multiplier;
+    const margin = notional * (contract ? contract.initialMarginRate : 1);
+    const maintenance = notional * (contract ? contract.maintenanceMarginRate : 1);
+    unrealizedPnl += pnl;
+    usedMargin += margin;
+    maintenanceMargin += maintenance;
+    positions[symbol] = {
+      position,
+      averagePrice,
+      settlementPrice: basis,
+      markPrice,
+      multiplier,
+      notional: roundMoney(notional),
+      margin: roundMoney(margin),
+      unrealizedPnl: roundMoney(pnl),
+      openPnl: roundMoney(openPnl)
+    };
+  }
+
+  const equity = balance + unrealizedPnl;
+  return {
+    balance: roundMoney(balance),
+    unrealizedPnl: roundMoney(unrealizedPnl),
+    equity: roundMoney(equity),
+    usedMargin: roundMoney(usedMargin),
+    maintenanceMargin: roundMoney(maintenanceMargin),
+    availableFunds: roundMoney(equity - usedMargin),
+    positions
+  };
+}
+
+module.exports = {
+  computeAccount
+};
@@ -0,0 +1,131 @@
+const { createRandom } = require('./price-models');
+
+const MINUTE_MS = 60 * 1000;
+
+function formatTime(millis) {
+  return new Date(millis).toLocaleTimeString('zh-CN', { hour12: false, timeZone: 'Asia/Shanghai', hour: '2-digit', minute: '2-digit' });
+}
+
+// Scheduled news: each contract always has one upcoming event, announced `leadMs` before it
+// is released. On release the event's direction is revealed and the price model is shocked.
+function createNewsSchedule({
+  engine,
+  getContract,
+  seed,
+  minGapMs = 20 * MINUTE_MS,
+  maxGapMs = 60 * MINUTE_MS,
+  leadMs = 5 * MINUTE_MS,
+  effectMs = 30 * MINUTE_MS,
+  keep = 10,
+  now = Date.now
+}) {
+  const random = createRandom(`${seed === undefined || seed === '' ? Date.now() : seed}:news`);
+  const events = new Map();
+
+  function plan(symbol, after) {
+    const contract = getContract(symbol);
+    const drivers = contract.insight.drivers;
+    const driver = drivers[Math.floor(random.next() * drivers.length)];
+    const direction = random.next() < 0.5 ? 'up' : 'down';
+    const strength = 1 + random.next();
+    const effectiveAt = after + minGapMs + random.next() * (maxGapMs - minGapMs);
+    const event = {
+      id: `${symbol}-${Math.round(effectiveAt)}`,
+      symbol,
+      driver,
+      direction,
+      strength: Number(strength.toFixed(2)),
+      announcedAt: new Date(effectiveAt - leadMs).toISOString(),
+      effectiveAt: new Date(effectiveAt).toISOString(),
+      releasedAt: null
+    };
+    events.set(symbol, [...(events.get(symbol) || []), event].slice(-keep));
+    return event;
+  }
+
+  function eventsFor(symbol) {
+    if (!events.has(symbol)) {
+      plan(symbol, now());
+    }
+    return events.get(symbol);
+  }
+
+  function headline(event) {
+    const tone = event.direction === 'up' ? '利好' : '利空';
+    return `${event.driver}消息落地，市场解读偏${tone}`;
+  }
+
+  // Only called for symbols that just ticked, so releases wait for the market to be open.
+  function release(symbol) {
+    const pending = eventsFor(symbol).find((event) => !event.releasedAt);
+    if (!pending || Date.parse(pending.effectiveAt) > now()) return null;
+    pending.releasedAt = new Date(now()).toISOString();
+    pending.headline = headline(pending);
+    engine.applyShock(symbol, pending.direction === 'up' ? pending.strength : -pending.strength);
+    plan(symbol, now());
+    return pending;
+  }
+
+  function view(event) {
+    if (!event.releasedAt) {
+      return {
+        id: event.id,
+        symbol: event.symbol,
+        driver: event.driver,
+        headline: `${event.driver}相关消息预计于 ${formatTime(Date.parse(event.effectiveAt))} 公布`,
+        effectiveAt: event.effectiveAt,
+        status: 'scheduled'
+      };
+    }
+    return {
+      id: event.id,
+      symbol: event.symbol,
+      driver: event.driver,
+      headline: event.headline,
+      direction: event.direction,
+      effectiveAt: event.effectiveAt,
+      releasedAt: event.releasedAt,
+      status: 'released'
+    };
+  }
+
+  function list(symbol) {
+    const current = now();
+    return eventsFor(symbol)
+      .filter((event) => event.releasedAt || Date.parse(event.announcedAt) <= current)
+      .map(view)
+      .reverse();
+  }
+
+  function upcoming(symbol) {
+    const event = eventsFor(symbol).find((item) => !item.releasedAt);
+    return event && Date.parse(event.announcedAt) <= now() ? view(event) : null;
+  }
+
+  function active(symbol) {
+    const current = now();
+    const released = eventsFor(symbol).filter(
+      (event) => event.releasedAt && current - Date.parse(event.releasedAt) <= effectMs
+    );
+    return released.length ? view(released[released.length - 1]) : null;
+  }
+
+  const onTick = (quote) => release(quote.symbol);
+
+  return {
+    active,
+    list,
+    release,
+    upcoming,
+    start() {
+      engine.on('tick', onTick);
+    },
+    stop() {
+      engine.off('tick', onTick);
+    }
+  };
+}
+
+module.exports = {
+  createNewsSchedule
+};
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const { getContract, roundToTick, tradingRestriction } = require('./contracts');
+const { executeTrade } = require('./trading');
+
+const ORDER_TYPES = ['limit', 'stop', 'stop_limit'];
+const TIME_IN_FORCE = ['GTC', 'DAY', 'IOC'];
+const CLOSED_ORDER_LIMIT = 200;
+
+function isOpen(order) {
+  return order.status === 'open' || order.status === 'triggered';
+}
+
+// Checked after rounding, since a price under half a tick would otherwise become 0.
+function parsePrice(value, contract) {
+  const price = roundToTick(Number(value), contract.tickSize);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+// Take-profit has to lie beyond the entry price in the trade's favour, stop-loss against it.
+function bracketErrors(side, { takeProfit, stopLoss }, entryPrice) {
+  const direction = side === 'buy' ? 1 : -1;
+  const errors = { takeProfit: null, stopLoss: null };
+  if (takeProfit !== null && (takeProfit - entryPrice) * direction <= 0) {
+    errors.takeProfit = side === 'buy' ? '买入的止盈价需高于成交价。' : '卖出的止盈价需低于成交价。';
+  }
+  if (stopLoss !== null && (entryPrice - stopLoss) * direction <= 0) {
+    errors.stopLoss = side === 'buy' ? '买入的止损价需低于成交价。' : '卖出的止损价需高于成交价。';
+  }
+  return errors;
+}
+
+function parseBracket(input, side, referencePrice, contract) {
+  const hasTakeProfit = input.takeProfit !== undefined && input.takeProfit !== null && input.takeProfit !== '';
+  const hasStopLoss = input.stopLoss !== undefined && input.stopLoss !== null && input.stopLoss !== '';
+  if (!hasTakeProfit && !hasStopLoss) {
+    return null;
+  }
+  const takeProfit = hasTakeProfit ? parsePrice(input.takeProfit, contract) : null;
+  const stopLoss = hasStopLoss ? parsePrice(input.stopLoss, contract) : null;
+  if (hasTakeProfit && takeProfit === null) {
+    throw new Error('请填写有效的止盈价。');
+  }
+  if (hasStopLoss && stopLoss === null) {
+    throw new Error('请填写有效的止损价。');
+  }
+  const errors = bracketErrors(side, { takeProfit, stopLoss }, referencePrice);
+  if (errors.takeProfit || errors.stopLoss) {
+    throw new Error(errors.takeProfit || errors.stopLoss);
+  }
+  return { takeProfit, stopLoss };
+}
+
+function createOrder(input, { expiresAt }) {
+  const symbol = typeof input.symbol === 'string' ? input.symbol.trim().toUpperCase() : '';
+  const contract = getContract(symbol);
+  if (!contract) {
+    throw new Error('合约不存在。');
+  }
+  const restriction = tradingRestriction(symbol);
+  if (restriction) {
+    throw new Error(restriction);
+  }
+  const side = input.side || input.type;
+  if (!['buy', 'sell'].includes(side)) {
+    throw new Error('交易方向不合法。');
+  }
+  const orderType = input.orderType || 'limit';
+  if (!ORDER_TYPES.includes(orderType)) {
+    throw new Error('委托类型不合法。');
+  }
+  const timeInForce = (input.timeInForce || 'GTC').toUpperCase();
+  if (!TIME_IN_FORCE.includes(timeInForce)) {
+    throw new Error('有效期类型不合法。');
+  }
+  if (timeInForce === 'IOC' && orderType !== 'limit') {
+    throw new Error('IOC 仅适用于限价委托。');
+  }
+  const quantity = Number(input.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new Error('数量必须为正整数（手）。');
+  }
+  const limitPrice = orderType === 'stop' ? null : parsePrice(input.limitPrice, contract);
+  const stopPrice = orderType === 'limit' ? null : parsePrice(input.stopPrice, contract);
+  if (orderType !== 'stop' && limitPrice === null) {
+    throw new Error('请填写有效的限价。');
+  }
+  if (orderType !== 'limit' && stopPrice === null) {
+    throw new Error('请填写有效的触发价。');
+  }
+  const referencePrice = orderType === 'stop' ? stopPrice : limitPrice;
+  const bracket = parseBracket(input, side, referencePrice, contract);
+  const now = new Date().toISOString();
+  const order = {
+    id: crypto.randomUUID(),
+    symbol,
+    side,
+    orderType,
+    quantity,
+    limitPrice,
+    stopPrice,
+    timeInForce,
+    status: 'open',
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: timeInForce === 'DAY' ? expiresAt : null
+  };
+  if (bracket) {
+    order.bracket = bracket;
+  }
+  return order;
+}
+
+// Conditional orders can fill away from the price their bracket was checked against, so each
+// leg is checked again at the actual fill price and rejected, not attached, when it is wrong.
+function attachBracket(user, symbol, side, quantity, bracket, parentId, entryPrice) {
+  const holding = (user.holdings || {})[symbol];
+  const position = holding ? Number(holding.position) || 0 : 0;
+  if (!bracket || (side === 'buy' ? position <= 0 : position >= 0)) {
+    return [];
+  }
+  const exitSide = side === 'buy' ? 'sell' : 'buy';
+  const exitQuantity = Math.min(quantity, Math.abs(position));
+  const ocoGroup = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const base = {
+    symbol,
+    side: exitSide,
+    quantity: exitQuantity,
+    timeInForce: 'GTC',
+    status: 'open',
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: null,
+    parentId,
+    ocoGroup,
+    reduceOnly: true
+  };
+  const errors = bracketErrors(side, bracket, entryPrice);
+  const leg = (fields, error) => ({
+    ...base,
+    ...fields,
+    id: crypto.randomUUID(),
+    ...(error ? { status: 'rejected', reason: `${error}（实际成交价 ${entryPrice}）` } : {})
+  });
+  const children = [];
+  if (bracket.takeProfit !== null) {
+    children.push(leg({ orderType: 'limit', limitPrice: bracket.takeProfit, stopPrice: null }, errors.takeProfit));
+  }
+  if (bracket.stopLoss !== null) {
+    children.push(leg({ orderType: 'stop', limitPrice: null, stopPrice: bracket.stopLoss }, errors.stopLoss));
+  }
+  user.orders = [...children, ...(user.orders || [])];
+  return children;
+}
+
+function reconcileReduceOnly(user, symbol) {
+  const holding = (user.holdings || {})[symbol];
+  const position = holding ? Number(holding.position) || 0 : 0;
+  for (const order of user.orders || []) {
+    if (!order.reduceOnly || order.symbol !== symbol || !isOpen(order)) continue;
+    const reduces = order.side === 'sell' ? position > 0 : position < 0;
+    if (!reduces) {
+      closeOrder(order, 'cancelled', { reason: '持仓已平，止盈止损单自动撤销。' });
+    } else if (order.quantity > Math.abs(position)) {
+      order.quantity = Math.abs(position);
+      order.updatedAt = new Date().toISOString();
+    }
+  }
+}
+
+function cancelOcoSiblings(user, order) {
+  if (!order.ocoGroup) return;
+  for (const sibling of user.orders || []) {
+    if (sibling.id !== order.id && sibling.ocoGroup === order.ocoGroup && isOpen(sibling)) {
+      closeOrder(sibling, 'cancelled', { reason: '同组止盈/止损单已成交，自动撤销。' });
+    }
+  }
+}
+
+// A filled order is closed and its OCO siblings cancelled before the remaining reduce-only
+// orders are reconciled, so the other leg is reported as cancelled by the OCO group.
+function executeFill(user, trade, getPrice, { bracket = null, parentId = null, order = null } = {}) {
+  const entry = executeTrade(user, trade, getPrice);
+  if (order) {
+    closeOrder(order, 'filled', { filledAt: entry.timestamp, fillPrice: trade.price, tradeId: entry.id });
+    cancelOcoSiblings(user, order);
+  }
+  reconcileReduceOnly(user, trade.symbol);
+  const children = attachBracket(
+    user,
+    trade.symbol,
+    trade.type,
+    trade.quantity,
+    bracket,
+    parentId || entry.id,
+    trade.price
+  );
+  return { entry, children };
+}
+
+function stopTriggered(order, price) {
+  return order.side === 'buy' ? price >= order.stopPrice : price <= order.stopPrice;
+}
+
+function limitMarketable(order, price) {
+  return order.side === 'buy' ? price <= order.limitPrice : price >= order.limitPrice;
+}
+
+function closeOrder(order, status, details = {}) {
+  Object.assign(order, details, { status, updatedAt: new Date().toISOString() });
+  return order;
+}
+
+function fillOrder(user, order, price, getPrice) {
+  try {
+    const { entry } = executeFill(
+      user,
+      {
+        symbol: order.symbol,
+        type: order.side,
+        quantity: order.quantity,
+        price,
+        details: { orderId: order.id, orderType: order.orderType }
+      },
+      getPrice,
+      { bracket: order.bracket, parentId: order.id, order }
+    );
+    return entry;
+  } catch (err) {
+    closeOrder(order, 'rejected', { reason: err.message });
+    return null;
+  }
+}
+
+function expireOrder(order, now) {
+  if (!order.expiresAt || now < Date.parse(order.expiresAt)) return false;
+  closeOrder(order, 'expired', { reason: '当日有效委托已到期。' });
+  return true;
+}
+
+function evaluateOrder(user, order, price, getPrice, now = Date.now()) {
+  if (!isOpen(order) || expireOrder(order, now)) return null;
+  if (order.status === 'open' && order.orderType !== 'limit') {
+    if (!stopTriggered(order, price)) return null;
+    if (order.orderType === 'stop') {
+      return fillOrder(user, order, price, getPrice);
+    }
+    closeOrder(order, 'triggered', { triggeredAt: new Date(now).toISOString() });
+  }
+  if (limitMarketable(order, price)) {
+    return fillOrder(user, order, price, getPrice);
+  }
+  return null;
+}
+
+function placeOrder(user, order, getPrice) {
+  const price = getPrice(order.symbol);
+  user.orders = [order, ...(user.orders || [])];
+  let entry = null;
+  if (price !== null && price !== undefined) {
+    entry = evaluateOrder(user, order, price, getPrice);
+  }
+  if (order.timeInForce === 'IOC' && isOpen(order)) {
+    closeOrder(order, 'cancelled', { reason: 'IOC 委托未能立即成交，已自动撤销。' });
+  }
+  pruneOrders(user);
+  return entry;
+}
+
+function cancelOrder(user, orderId) {
+  const order = (user.orders || []).find((item) => item.id === orderId);
+  if (!order) {
+    throw new Error('委托不存在。');
+  }
+  if (!isOpen(order)) {
+    throw new Error('该委托已结束，无法撤销。');
+  }
+  return closeOrder(order, 'cancelled', { reason: '用户撤单。' });
+}
+
+function pruneOrders(user) {
+  const open = [];
+  const closed = [];
+  (user.orders || []).forEach((order) => (isOpen(order) ? open : closed).push(order));
+  user.orders = [...open, ...closed.slice(0, CLOSED_ORDER_LIMIT)];
+}
+
+function createOrderMatcher({ engine, storage, getPrice }) {
+  let pending = false;
+
+  function sweepUser(user, now) {
+    let changed = false;
+    for (const order of user.orders.filter(isOpen).reverse()) {
+      // DAY orders still expire while their contract is halted or outside trading hours.
+      if (expireOrder(order, now)) {
+        changed = true;
+        continue;
+      }
+      const price = getPrice(order.symbol);
+      if (price === null || price === undefined || tradingRestriction(order.symbol)) continue;
+      const before = order.status;
+      evaluateOrder(user, order, price, getPrice, now);
+      if (order.status !== before) {
+        changed = true;
+      }
+    }
+    pruneOrders(user);
+    return changed;
+  }
+
+  async function sweep(now = Date.now()) {
+    let changed = false;
+    for (const username of storage.listUsernames()) {
+      const user = storage.getUser(username);
+      if (!Array.isArray(user.orders) || !user.orders.some(isOpen)) continue;
+      if (await storage.withUser(username, (draft) => sweepUser(draft, now))) {
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  function onTick() {
+    if (pending) return;
+    pending = true;
+    setImmediate(() => {
+      sweep()
+        .catch((err) => {
+          console.error('Order matching failed', err);
+        })
+        .finally(() => {
+          pending = false;
+        });
+    });
+  }
+
+  return {
+    sweep,
+    start() {
+      engine.on('tick', onTick);
+    },
+    stop() {
+      engine.off('tick', onTick);
+    }
+  };
+}
+
+module.exports = {
+  cancelOrder,
+  createOrder,
+  createOrderMatcher,
+  executeFill,
+  isOpen,
+  parseBracket,
+  placeOrder
+};
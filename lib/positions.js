@@ -0,0 +1,76 @@
+function roundMoney(value) {
+  return Number(value.toFixed(2));
+}
+
+function ensureHoldingStructure(holding = {}) {
+  const structure = {
+    position: Number(holding.position) || 0,
+    averagePrice: Number(holding.averagePrice) || 0
+  };
+  if (holding.settlementPrice !== undefined) {
+    structure.settlementPrice = Number(holding.settlementPrice) || 0;
+  }
+  return structure;
+}
+
+function weighted(existingQty, existingPrice, addedQty, addedPrice) {
+  return (existingQty * existingPrice + addedQty * addedPrice) / (existingQty + addedQty);
+}
+
+// averagePrice is the trader's open price; settlementPrice is the last daily
+// mark, which is what cash has already been settled against.
+function applyFill(holding, side, quantity, price, multiplier = 1) {
+  const current = ensureHoldingStructure(holding);
+  const signedQty = side === 'buy' ? quantity : -quantity;
+  const nextPosition = current.position + signedQty;
+  const sameDirection = current.position === 0 || Math.sign(current.position) === Math.sign(signedQty);
+  const hasBasis = current.settlementPrice !== undefined;
+  const basis = hasBasis ? current.settlementPrice : current.averagePrice;
+  let averagePrice = current.averagePrice;
+  let settlementPrice = current.settlementPrice;
+  let closedQuantity = 0;
+  let realizedPnl = 0;
+  let cashPnl = 0;
+
+  if (sameDirection) {
+    const held = Math.abs(current.position);
+    averagePrice = weighted(held, current.averagePrice, quantity, price);
+    if (hasBasis) {
+      settlementPrice = weighted(held, current.settlementPrice, quantity, price);
+    }
+  } else {
+    closedQuantity = Math.min(quantity, Math.abs(current.position));
+    const direction = Math.sign(current.position) * multiplier;
+    realizedPnl = (price - current.averagePrice) * closedQuantity * direction;
+    cashPnl = (price - basis) * closedQuantity * direction;
+    if (nextPosition === 0) {
+      averagePrice = 0;
+    } else if (Math.sign(nextPosition) !== Math.sign(current.position)) {
+      averagePrice = price;
+      settlementPrice = hasBasis ? price : undefined;
+    }
+  }
+
+  const offset = closedQuantity === 0 ? 'open' : closedQuantity < quantity ? 'reverse' : 'close';
+  const nextHolding = {
+    position: nextPosition,
+    averagePrice: nextPosition === 0 ? 0 : roundMoney(averagePrice)
+  };
+  if (nextPosition !== 0 && settlementPrice !== undefined) {
+    nextHolding.settlementPrice = roundMoney(settlementPrice);
+  }
+  return {
+    holding: nextHolding,
+    closedQuantity,
+    openedQuantity: quantity - closedQuantity,
+    offset,
+    realizedPnl: roundMoney(realizedPnl),
+    cashPnl: roundMoney(cashPnl)
+  };
+}
+
+module.exports = {
+  applyFill,
+  ensureHoldingStructure,
+  roundMoney
+};
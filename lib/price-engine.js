@@ -0,0 +1,173 @@
+const { EventEmitter } = require('events');
+const { roundToTick } = require('./contracts');
+const {
+  advanceModel,
+  choleskyFactor,
+  correlate,
+  correlationMatrix,
+  createModelState,
+  createRandom,
+  drawMarket,
+  drawSymbol,
+  resolveModel,
+  seasonalLevel,
+  shockCorrelations
+} = require('./price-models');
+
+function roundPrice(value) {
+  return Number(value.toFixed(2));
+}
+
+function createPriceEngine(contracts, options = {}) {
+  const intervalMs = options.intervalMs || 4000;
+  const isActive = options.isActive || (() => true);
+  const now = options.now || Date.now;
+  const random = createRandom(options.seed === undefined || options.seed === '' ? Date.now() : options.seed);
+  const correlations = options.correlations || [];
+  const engine = new EventEmitter();
+  const quotes = new Map();
+  const models = new Map();
+  const states = new Map();
+  let factor = null;
+  let round = 0;
+  let timer = null;
+
+  function seed(symbol) {
+    const spec = contracts[symbol];
+    const price = roundToTick(spec.startPrice, spec.tickSize);
+    quotes.set(symbol, {
+      symbol,
+      price,
+      previousPrice: price,
+      openPrice: price,
+      change: 0,
+      changePercent: 0,
+      timestamp: new Date().toISOString(),
+      seq: 0,
+      round
+    });
+    const model = resolveModel(spec);
+    const state = createModelState(model, spec.startPrice);
+    // Join the market's current regime so a symbol added later switches in step with the rest.
+    const [existing] = states.values();
+    if (existing) {
+      state.regime = existing.regime % model.regimes.length;
+    }
+    models.set(symbol, model);
+    states.set(symbol, state);
+    factor = null;
+  }
+
+  Object.keys(contracts).forEach(seed);
+
+  // Falls back to the configured values if the jump adjustment breaks positive definiteness.
+  function correlationFactor() {
+    if (!factor) {
+      const symbols = Array.from(quotes.keys());
+      try {
+        factor = choleskyFactor(correlationMatrix(symbols, shockCorrelations(correlations, models)));
+      } catch (err) {
+        factor = choleskyFactor(correlationMatrix(symbols, correlations));
+      }
+    }
+    return factor;
+  }
+
+  function step(symbol, shock, draws) {
+    const spec = contracts[symbol];
+    const quote = quotes.get(symbol);
+    const { state } = advanceModel(models.get(symbol), states.get(symbol), shock, draws, now());
+    state.value = Math.max(spec.minPrice, state.value);
+    states.set(symbol, state);
+    const price = roundToTick(state.value, spec.tickSize);
+    const change = roundPrice(price - quote.price);
+    const next = {
+      ...quote,
+      previousPrice: quote.price,
+      price,
+      change,
+      changePercent: quote.price === 0 ? 0 : Number(((change / quote.price) * 100).toFixed(4)),
+      timestamp: new Date().toISOString(),
+      seq: quote.seq + 1,
+      round
+    };
+    quotes.set(symbol, next);
+    return next;
+  }
+
+  engine.tick = function tick() {
+    round += 1;
+    const symbols = Array.from(quotes.keys());
+    const shocks = correlate(correlationFactor(), symbols.map(() => random.normal()));
+    const market = drawMarket(random, shocks);
+    const draws = symbols.map(() => drawSymbol(random, market));
+    const updates = [];
+    symbols.forEach((symbol, index) => {
+      if (!isActive(symbol)) return;
+      updates.push(step(symbol, shocks[index], draws[index]));
+    });
+    updates.forEach((quote) => engine.emit('tick', quote));
+    return updates;
+  };
+
+  engine.addSymbol = function addSymbol(symbol) {
+    if (!quotes.has(symbol) && contracts[symbol]) {
+      seed(symbol);
+    }
+    return quotes.get(symbol) || null;
+  };
+
+  // Moves the price by `sigmas` standard deviations of the model over the next `ticks` ticks.
+  engine.applyShock = function applyShock(symbol, sigmas, ticks = 20) {
+    const model = models.get(symbol);
+    const state = states.get(symbol);
+    if (!model) return false;
+    const total = sigmas * model.sigma * Math.sqrt(ticks);
+    states.set(symbol, { ...state, shock: { perTick: total / ticks, remaining: ticks } });
+    return true;
+  };
+
+  engine.getModelState = function getModelState(symbol) {
+    const model = models.get(symbol);
+    const state = states.get(symbol);
+    if (!model) return null;
+    const regime = model.regimes[state.regime] || model.regimes[0];
+    return {
+      type: model.type,
+      regime: regime.name,
+      volatility: Number(Math.sqrt(state.variance).toFixed(6)),
+      level: Number(seasonalLevel(model, now()).toFixed(2))
+    };
+  };
+
+  engine.getRound = function getRound() {
+    return round;
+  };
+
+  engine.getQuote = function getQuote(symbol) {
+    return quotes.get(symbol) || null;
+  };
+
+  engine.getQuotes = function getQuotes(symbols) {
+    const list = symbols && symbols.length ? symbols : Array.from(quotes.keys());
+    return list.map((symbol) => quotes.get(symbol)).filter(Boolean);
+  };
+
+  engine.start = function start() {
+    if (timer) return;
+    timer = setInterval(engine.tick, intervalMs);
+  };
+
+  engine.stop = function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return engine;
+}
+
+module.exports = {
+  createPriceEngine
+};
@@ -0,0 +1,209 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MODEL_TYPES = ['gbm', 'meanReversion'];
+
+const DEFAULT_REGIMES = [
+  { name: 'range', trend: 0, volScale: 0.8 },
+  { name: 'bull', trend: 0.03, volScale: 1 },
+  { name: 'bear', trend: -0.03, volScale: 1.2 }
+];
+
+function seedFromString(value) {
+  const text = String(value);
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for simulated quotes.
+function createRandom(seed) {
+  let state = (typeof seed === 'number' ? seed : seedFromString(seed)) >>> 0;
+  let spare = null;
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  function normal() {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    const u = 1 - next();
+    const v = next();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    spare = radius * Math.sin(2 * Math.PI * v);
+    return radius * Math.cos(2 * Math.PI * v);
+  }
+
+  return { next, normal };
+}
+
+function correlationMatrix(symbols, correlations = []) {
+  const index = new Map(symbols.map((symbol, i) => [symbol, i]));
+  const matrix = symbols.map((_, i) => symbols.map((__, j) => (i === j ? 1 : 0)));
+  correlations.forEach(([a, b, rho]) => {
+    if (!index.has(a) || !index.has(b) || a === b) return;
+    matrix[index.get(a)][index.get(b)] = rho;
+    matrix[index.get(b)][index.get(a)] = rho;
+  });
+  return matrix;
+}
+
+// Share of a model's per-tick return standard deviation that comes from the diffusion term.
+function diffusionShare(model) {
+  const volScale = model.regimes.reduce((sum, regime) => sum + (regime.volScale || 1) ** 2, 0) / model.regimes.length;
+  const diffusion = model.sigma * model.sigma * volScale;
+  const jumps = model.jumps
+    ? model.jumps.probability * ((model.jumps.mean || 0) ** 2 + (model.jumps.stdev || 0) ** 2)
+    : 0;
+  return Math.sqrt(diffusion / (diffusion + jumps));
+}
+
+// Configured correlations describe returns. Jumps are drawn per contract and dilute the
+// correlation of the diffusion shocks, so the shocks are correlated more strongly to match.
+function shockCorrelations(correlations, models) {
+  return correlations.map(([a, b, rho]) => {
+    if (!models.has(a) || !models.has(b)) return [a, b, rho];
+    const adjusted = rho / (diffusionShare(models.get(a)) * diffusionShare(models.get(b)));
+    return [a, b, Math.max(-0.99, Math.min(0.99, adjusted))];
+  });
+}
+
+function choleskyFactor(matrix) {
+  const size = matrix.length;
+  const lower = matrix.map(() => new Array(size).fill(0));
+  for (let i = 0; i < size; i += 1) {
+    for (let j = 0; j <= i; j += 1) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k += 1) {
+        sum -= lower[i][k] * lower[j][k];
+      }
+      if (i === j) {
+        if (sum <= 0) {
+          throw new Error('Correlation matrix must be positive definite');
+        }
+        lower[i][i] = Math.sqrt(sum);
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+  return lower;
+}
+
+function correlate(lower, shocks) {
+  return lower.map((row, i) => {
+    let value = 0;
+    for (let k = 0; k <= i; k += 1) {
+      value += row[k] * shocks[k];
+    }
+    return value;
+  });
+}
+
+function resolveModel(spec) {
+  const model = spec.model || {};
+  const type = MODEL_TYPES.includes(model.type) ? model.type : 'gbm';
+  return {
+    type,
+    // Per-tick log-return volatility; defaults to the spread of the legacy uniform walk.
+    sigma: model.sigma || spec.volatility / spec.startPrice / Math.sqrt(3),
+    drift: model.drift || 0,
+    level: model.level || spec.startPrice,
+    reversion: type === 'meanReversion' ? model.reversion || 0.01 : 0,
+    seasonality: model.seasonality || null,
+    clustering: model.clustering || null,
+    jumps: model.jumps || null,
+    regimes: model.regimes || DEFAULT_REGIMES,
+    switchProbability: model.switchProbability === undefined ? 0.01 : model.switchProbability
+  };
+}
+
+function seasonalLevel(model, now) {
+  if (!model.seasonality) {
+    return model.level;
+  }
+  const { amplitude = 0, periodDays = 365, peakDay = 0 } = model.seasonality;
+  const day = now / DAY_MS;
+  return model.level * (1 + amplitude * Math.cos((2 * Math.PI * (day - peakDay)) / periodDays));
+}
+
+// `value` is the unrounded price the model evolves; quotes carry the tick-rounded one.
+function createModelState(model, price) {
+  return { variance: model.sigma * model.sigma, regime: 0, value: price };
+}
+
+// Regime switches and volatility clustering are market-wide: every symbol shares one regime
+// draw and reacts to the RMS of the tick's correlated shocks. Independent volatility scaling
+// per contract would otherwise dilute the configured correlation of returns.
+function drawMarket(random, shocks) {
+  const marketShock = Math.sqrt(shocks.reduce((sum, shock) => sum + shock * shock, 0) / (shocks.length || 1));
+  return { regime: random.next(), regimePick: random.next(), marketShock };
+}
+
+// Draws are taken in a fixed order for every symbol on every tick, whether or not the
+// symbol trades, so a seeded engine replays the same path regardless of the calendar.
+function drawSymbol(random, market) {
+  return { ...market, jump: random.next(), jumpSize: random.normal() };
+}
+
+function advanceModel(model, state, shock, draws, now) {
+  const next = { ...state };
+  if (model.regimes.length > 1 && draws.regime < model.switchProbability) {
+    const offset = 1 + Math.floor(draws.regimePick * (model.regimes.length - 1));
+    next.regime = (state.regime + offset) % model.regimes.length;
+  }
+  const regime = model.regimes[next.regime] || model.regimes[0];
+  const conditional = Math.sqrt(state.variance);
+  const volatility = conditional * (regime.volScale || 1);
+  let jump = 0;
+  if (model.jumps && draws.jump < model.jumps.probability) {
+    jump = (model.jumps.mean || 0) + (model.jumps.stdev || 0) * draws.jumpSize;
+  }
+  const level = seasonalLevel(model, now);
+  const pull = model.reversion * Math.log(level / state.value);
+  // News shocks spread a fixed log move over several ticks on top of the model's own dynamics.
+  let news = 0;
+  if (state.shock && state.shock.remaining > 0) {
+    news = state.shock.perTick;
+    next.shock = { ...state.shock, remaining: state.shock.remaining - 1 };
+  }
+  const innovation = volatility * shock + jump + news;
+  const logReturn = model.drift + (regime.trend || 0) * model.sigma + pull - (volatility * volatility) / 2 + innovation;
+  if (model.clustering) {
+    // GARCH(1,1) on the unscaled shock so regimes cannot push persistence past alpha + beta.
+    // Jumps are one-off, contract-specific events and do not feed the clustering.
+    const { alpha, beta } = model.clustering;
+    const longRun = model.sigma * model.sigma;
+    const marketShock = draws.marketShock === undefined ? shock : draws.marketShock;
+    const surprise = conditional * marketShock + news;
+    const variance = longRun * (1 - alpha - beta) + alpha * surprise * surprise + beta * state.variance;
+    next.variance = Math.min(variance, longRun * 25);
+  }
+  next.value = state.value * Math.exp(logReturn);
+  return { state: next, jump };
+}
+
+module.exports = {
+  MODEL_TYPES,
+  advanceModel,
+  choleskyFactor,
+  correlate,
+  correlationMatrix,
+  createModelState,
+  createRandom,
+  drawMarket,
+  drawSymbol,
+  resolveModel,
+  seasonalLevel,
+  seedFromString,
+  shockCorrelations
+};
@@ -0,0 +1,82 @@
+function createQuoteStream(engine, options = {}) {
+  const heartbeatMs = options.heartbeatMs || 15000;
+  const bufferSize = options.bufferSize || 500;
+  const retryMs = options.retryMs || 3000;
+  const clients = new Set();
+  const buffer = [];
+
+  function writeEvent(res, event, data, id) {
+    if (id !== undefined) {
+      res.write(`id: ${id}\n`);
+    }
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  engine.on('tick', (quote) => {
+    buffer.push(quote);
+    if (buffer.length > bufferSize) {
+      buffer.shift();
+    }
+    for (const client of clients) {
+      if (!client.symbols.size || client.symbols.has(quote.symbol)) {
+        writeEvent(client.res, 'tick', quote, quote.round);
+      }
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    const payload = { time: new Date().toISOString(), round: engine.getRound() };
+    for (const client of clients) {
+      writeEvent(client.res, 'heartbeat', payload);
+    }
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  function replay(client, lastEventId) {
+    const wanted = (quote) => !client.symbols.size || client.symbols.has(quote.symbol);
+    const oldest = buffer.length ? buffer[0].round : engine.getRound() + 1;
+    const current = engine.getRound();
+    if (Number.isInteger(lastEventId) && lastEventId >= oldest - 1 && lastEventId <= current) {
+      buffer
+        .filter((quote) => quote.round > lastEventId && wanted(quote))
+        .forEach((quote) => writeEvent(client.res, 'tick', quote, quote.round));
+      return;
+    }
+    engine
+      .getQuotes(Array.from(client.symbols))
+      .forEach((quote) => writeEvent(client.res, 'tick', quote, current));
+  }
+
+  function handle(req, res, symbols) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+    const client = { res, symbols: new Set(symbols) };
+    const lastEventId = Number.parseInt(req.headers['last-event-id'], 10);
+    replay(client, Number.isNaN(lastEventId) ? null : lastEventId);
+    clients.add(client);
+    req.on('close', () => {
+      clients.delete(client);
+    });
+  }
+
+  return {
+    handle,
+    close() {
+      clearInterval(heartbeat);
+      for (const client of clients) {
+        client.res.end();
+      }
+      clients.clear();
+    }
+  };
+}
+
+module.exports = {
+  createQuoteStream
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { writeFileAtomicSync } = require('./storage');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createSessionStore(options) {
+  const { file, idleMs, absoluteMs, touchIntervalMs = 60 * 1000 } = options;
+  const sessions = new Map();
+  let savedAt = 0;
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      for (const [key, session] of Object.entries(stored || {})) {
+        sessions.set(key, session);
+      }
+    } catch (err) {
+      console.warn('Failed to load sessions, starting empty', err);
+    }
+  }
+
+  function save() {
+    savedAt = Date.now();
+    writeFileAtomicSync(file, JSON.stringify(Object.fromEntries(sessions), null, 2));
+  }
+
+  function isExpired(session, now) {
+    return now - session.lastSeenAt > idleMs || now >= session.expiresAt;
+  }
+
+  function describe(session) {
+    return {
+      id: session.id,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+      idleExpiresAt: new Date(Math.min(session.lastSeenAt + idleMs, session.expiresAt)).toISOString(),
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      userAgent: session.userAgent || '',
+      ip: session.ip || ''
+    };
+  }
+
+  function listEntries(username) {
+    return Array.from(sessions.entries())
+      .filter(([, session]) => session.username === username)
+      .sort(([, a], [, b]) => b.createdAt - a.createdAt);
+  }
+
+  function prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, session] of sessions) {
+      if (isExpired(session, now)) {
+        sessions.delete(key);
+        removed += 1;
+      }
+    }
+    if (removed) {
+      save();
+    }
+    return removed;
+  }
+
+  function create(username, { userAgent, ip, maxSessions = 1 } = {}) {
+    const now = Date.now();
+    const token = crypto.randomBytes(24).toString('hex');
+    const active = listEntries(username).filter(([, session]) => !isExpired(session, now));
+    active.slice(Math.max(maxSessions - 1, 0)).forEach(([key]) => sessions.delete(key));
+    const session = {
+      id: crypto.randomUUID(),
+      username,
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: now + absoluteMs,
+      userAgent: String(userAgent || '').slice(0, 200),
+      ip: ip || ''
+    };
+    sessions.set(hashToken(token), session);
+    save();
+    return { token, session };
+  }
+
+  function authenticate(token, now = Date.now()) {
+    if (!token) return null;
+    const key = hashToken(token);
+    const session = sessions.get(key);
+    if (!session) return null;
+    if (isExpired(session, now)) {
+      sessions.delete(key);
+      save();
+      return null;
+    }
+    session.lastSeenAt = now;
+    // Every save writes all sessions, so a session touched more often than the interval
+    // still has its activity persisted at least once per interval.
+    if (now - savedAt >= touchIntervalMs) {
+      save();
+    }
+    return session;
+  }
+
+  function revoke(token) {
+    if (!token) return false;
+    const removed = sessions.delete(hashToken(token));
+    if (removed) {
+      save();
+    }
+    return removed;
+  }
+
+  function revokeById(username, id) {
+    const match = listEntries(username).find(([, session]) => session.id === id);
+    if (!match) return false;
+    sessions.delete(match[0]);
+    save();
+    return true;
+  }
+
+  function enforceLimit(username, maxSessions, keepId) {
+    const active = listEntries(username);
+    const keep = active.filter(([, session]) => session.id === keepId);
+    const others = active.filter(([, session]) => session.id !== keepId);
+    const excess = others.slice(Math.max(maxSessions - keep.length, 0));
+    excess.forEach(([key]) => sessions.delete(key));
+    if (excess.length) {
+      save();
+    }
+    return excess.length;
+  }
+
+  function list(username, now = Date.now()) {
+    return listEntries(username)
+      .filter(([, session]) => !isExpired(session, now))
+      .map(([, session]) => describe(session));
+  }
+
+  load();
+  prune();
+
+  return {
+    authenticate,
+    create,
+    enforceLimit,
+    list,
+    prune,
+    revoke,
+    revokeById
+  };
+}
+
+module.exports = {
+  createSessionStore
+};
@@ -0,0 +1,200 @@
+const { getContract, isTradingDay, tradingRestriction } = require('./contracts');
+const { roundMoney } = require('./positions');
+const { computeAccount } = require('./margin');
+const { executeFill } = require('./orders');
+
+const SETTLEMENT_HISTORY_LIMIT = 90;
+// Settlement follows the exchange clock: China Standard Time (UTC+8, no daylight saving).
+const CST_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseSettlementTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return { hours: 15, minutes: 0 };
+  }
+  return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+// The next settlement time on a trading day, strictly after `from`.
+function nextSettlementAt(time, from = new Date()) {
+  const dayStart = Math.floor((from.getTime() + CST_OFFSET_MS) / DAY_MS) * DAY_MS - CST_OFFSET_MS;
+  let next = dayStart + (time.hours * 60 + time.minutes) * 60 * 1000;
+  if (next <= from.getTime()) {
+    next += DAY_MS;
+  }
+  for (let skipped = 0; skipped < 366 && !isTradingDay(next); skipped += 1) {
+    next += DAY_MS;
+  }
+  return new Date(next);
+}
+
+function formatDate(date) {
+  return date.toLocaleDateString('sv-SE', { timeZone: 'Asia/Shanghai' });
+}
+
+function settleUser(user, getPrice, { now = Date.now(), graceMs }) {
+  const prices = {};
+  let variationMargin = 0;
+  for (const [symbol, holding] of Object.entries(user.holdings || {})) {
+    const price = getPrice(symbol);
+    const position = Number(holding.position) || 0;
+    if (price === null || price === undefined || !position) continue;
+    const contract = getContract(symbol);
+    const multiplier = contract ? contract.multiplier : 1;
+    const basis = holding.settlementPrice !== undefined ? holding.settlementPrice : holding.averagePrice;
+    variationMargin += (price - basis) * position * multiplier;
+    holding.settlementPrice = price;
+    prices[symbol] = price;
+  }
+  user.balance = roundMoney((Number(user.balance) || 0) + variationMargin);
+
+  const account = computeAccount(user, getPrice);
+  const settledAt = new Date(now);
+  const record = {
+    date: formatDate(settledAt),
+    settledAt: settledAt.toISOString(),
+    variationMargin: roundMoney(variationMargin),
+    balance: user.balance,
+    equity: account.equity,
+    usedMargin: account.usedMargin,
+    maintenanceMargin: account.maintenanceMargin,
+    prices
+  };
+  user.settlements = [record, ...(user.settlements || [])].slice(0, SETTLEMENT_HISTORY_LIMIT);
+
+  if (account.equity < account.maintenanceMargin) {
+    const existing = user.marginCall;
+    user.marginCall = {
+      issuedAt: existing ? existing.issuedAt : settledAt.toISOString(),
+      deadline: existing ? existing.deadline : new Date(now + graceMs).toISOString(),
+      equity: account.equity,
+      maintenanceMargin: account.maintenanceMargin,
+      requiredMargin: account.usedMargin,
+      shortfall: roundMoney(account.usedMargin - account.equity)
+    };
+  } else {
+    delete user.marginCall;
+  }
+  return record;
+}
+
+function enforceMarginCall(user, getPrice, now = Date.now()) {
+  if (!user.marginCall) return [];
+  const account = computeAccount(user, getPrice);
+  if (account.equity >= account.maintenanceMargin) {
+    delete user.marginCall;
+    return [];
+  }
+  if (now < Date.parse(user.marginCall.deadline)) {
+    return [];
+  }
+  // Positions in closed or halted contracts wait for trading to reopen rather than filling
+  // at a stale quote; the margin call stays open until they are closed too.
+  const entries = [];
+  let deferred = false;
+  for (const [symbol, holding] of Object.entries(user.holdings || {})) {
+    const position = Number(holding.position) || 0;
+    const price = getPrice(symbol);
+    if (!position) continue;
+    if (price === null || price === undefined || tradingRestriction(symbol)) {
+      deferred = true;
+      continue;
+    }
+    const { entry } = executeFill(
+      user,
+      {
+        symbol,
+        type: position > 0 ? 'sell' : 'buy',
+        quantity: Math.abs(position),
+        price,
+        checkMargin: false,
+        details: { liquidation: true }
+      },
+      getPrice
+    );
+    entries.push(entry);
+  }
+  if (entries.length) {
+    user.lastLiquidation = {
+      liquidatedAt: new Date(now).toISOString(),
+      marginCall: user.marginCall,
+      trades: entries.map((entry) => entry.id)
+    };
+  }
+  if (!deferred) {
+    delete user.marginCall;
+  }
+  return entries;
+}
+
+function createSettlementService(options) {
+  const { storage, getPrice, graceMs, checkIntervalMs = 60 * 1000 } = options;
+  const time = parseSettlementTime(options.settlementTime);
+  let settlementTimer = null;
+  let checkTimer = null;
+
+  async function runSettlement(now = Date.now()) {
+    let settled = 0;
+    for (const username of storage.listUsernames()) {
+      await storage.withUser(username, (user) => settleUser(user, getPrice, { now, graceMs }));
+      settled += 1;
+    }
+    return settled;
+  }
+
+  async function checkMarginCalls(now = Date.now()) {
+    let liquidated = 0;
+    for (const username of storage.listUsernames()) {
+      if (!storage.getUser(username).marginCall) continue;
+      const entries = await storage.withUser(username, (user) =>
+        user.marginCall ? enforceMarginCall(user, getPrice, now) : []
+      );
+      if (entries.length) {
+        liquidated += 1;
+      }
+    }
+    return liquidated;
+  }
+
+  function scheduleSettlement() {
+    const delay = nextSettlementAt(time).getTime() - Date.now();
+    settlementTimer = setTimeout(() => {
+      runSettlement()
+        .then((settled) => {
+          console.log(`Daily settlement completed for ${settled} accounts`);
+        })
+        .catch((err) => {
+          console.error('Daily settlement failed', err);
+        })
+        .then(scheduleSettlement);
+    }, delay);
+  }
+
+  return {
+    runSettlement,
+    checkMarginCalls,
+    nextSettlementAt: () => nextSettlementAt(time),
+    start() {
+      if (settlementTimer) return;
+      scheduleSettlement();
+      checkTimer = setInterval(() => {
+        checkMarginCalls().catch((err) => {
+          console.error('Margin call check failed', err);
+        });
+      }, checkIntervalMs);
+    },
+    stop() {
+      clearTimeout(settlementTimer);
+      clearInterval(checkTimer);
+      settlementTimer = null;
+      checkTimer = null;
+    }
+  };
+}
+
+module.exports = {
+  createSettlementService,
+  enforceMarginCall,
+  settleUser
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+
+const fsp = fs.promises;
+
+function readJson(file, fallback) {
+  if (!fs.existsSync(file)) {
+    return fallback;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+function writeFileAtomicSync(file, content) {
+  const tmp = `${file}.${process.pid}.sync.tmp`;
+  fs.writeFileSync(tmp, content, 'utf-8');
+  fs.renameSync(tmp, file);
+}
+
+async function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const handle = await fsp.open(tmp, 'w');
+  try {
+    await handle.writeFile(content, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fsp.rename(tmp, file);
+}
+
+module.exports = {
+  readJson,
+  writeFileAtomic,
+  writeFileAtomicSync
+};
@@ -0,0 +1,30 @@
+const { writeFileAtomic, writeFileAtomicSync } = require('./files');
+const { createJsonStorage } = require('./json');
+
+const backends = ['json', 'sqlite'];
+
+function createStorage(options) {
+  const backend = options.backend || 'json';
+  if (backend === 'json') {
+    return createJsonStorage(options);
+  }
+  if (backend === 'sqlite') {
+    // node:sqlite is unflagged from Node.js 22.13 (22.5+ with --experimental-sqlite), so it is
+    // only loaded when selected.
+    try {
+      require('node:sqlite');
+    } catch (err) {
+      throw new Error(
+        `STORAGE_BACKEND=sqlite requires the built-in node:sqlite module (Node.js 22.13+, or 22.5+ with --experimental-sqlite); current version is ${process.version}`
+      );
+    }
+    return require('./sqlite').createSqliteStorage(options);
+  }
+  throw new Error(`Unknown storage backend "${backend}", expected one of: ${backends.join(', ')}`);
+}
+
+module.exports = {
+  createStorage,
+  writeFileAtomic,
+  writeFileAtomicSync
+};
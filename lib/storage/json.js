@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { readJson, writeFileAtomic, writeFileAtomicSync } = require('./files');
+const { createLockManager } = require('./lock');
+
+const fsp = fs.promises;
+
+// The snapshot (users.json) keeps the historical import/export format. Every
+// trade is also appended to trades.journal before the snapshot is rewritten, so
+// trades committed after the last snapshot are replayed on startup.
+function createJsonStorage({ dataDir, normalize }) {
+  const usersFile = path.join(dataDir, 'users.json');
+  const journalFile = path.join(dataDir, 'trades.journal');
+  const metaFile = path.join(dataDir, 'storage-meta.json');
+  const withLock = createLockManager();
+  let users = {};
+  // Drafts being written; they join `users` only once the snapshot containing them is on disk.
+  const staged = new Map();
+  let journalSize = 0;
+  // Start offsets of journal records whose draft is not staged yet. The snapshot's
+  // journalOffset never moves past them, so a crash before staging still replays the trade.
+  const pendingJournal = new Set();
+  let journalQueue = Promise.resolve();
+  let flushing = null;
+  let dirty = false;
+
+  function replayJournal(fromOffset) {
+    if (!fs.existsSync(journalFile)) {
+      return 0;
+    }
+    const buffer = fs.readFileSync(journalFile);
+    journalSize = buffer.length;
+    const pending = buffer.slice(Math.min(fromOffset, buffer.length)).toString('utf-8');
+    let replayed = 0;
+    for (const line of pending.split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        console.warn('Skipping unreadable journal line');
+        continue;
+      }
+      const user = users[record.username];
+      if (!user || !record.entry || !record.state) continue;
+      if ((user.history || []).some((entry) => entry && entry.id === record.entry.id)) continue;
+      Object.assign(user, record.state, { history: [record.entry, ...(user.history || [])] });
+      replayed += 1;
+    }
+    return replayed;
+  }
+
+  function load() {
+    fs.mkdirSync(dataDir, { recursive: true });
+    users = readJson(usersFile, {});
+    const meta = readJson(metaFile, { journalOffset: 0 });
+    const normalized = normalize(users);
+    const replayed = replayJournal(Number(meta.journalOffset) || 0);
+    if (replayed) {
+      console.log(`Replayed ${replayed} journaled trades`);
+    }
+    if (normalized || replayed || !fs.existsSync(usersFile)) {
+      writeFileAtomicSync(usersFile, JSON.stringify(users, null, 2));
+      writeFileAtomicSync(metaFile, JSON.stringify({ journalOffset: journalSize }));
+    }
+  }
+
+  function durableOffset() {
+    return pendingJournal.size ? Math.min(...pendingJournal) : journalSize;
+  }
+
+  async function commit(username, record, journalStart = null) {
+    staged.set(username, record);
+    pendingJournal.delete(journalStart);
+    try {
+      await persist();
+      users[username] = record;
+    } finally {
+      staged.delete(username);
+    }
+  }
+
+  function persist() {
+    dirty = true;
+    if (!flushing) {
+      flushing = (async () => {
+        while (dirty) {
+          dirty = false;
+          const journalOffset = durableOffset();
+          const snapshot = { ...users, ...Object.fromEntries(staged) };
+          await writeFileAtomic(usersFile, JSON.stringify(snapshot, null, 2));
+          await writeFileAtomic(metaFile, JSON.stringify({ journalOffset }));
+        }
+      })().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  // Appends run one at a time so each record lands at the offset reserved for it. Resolves
+  // with that offset, which stays pending until commit() stages the matching draft.
+  function appendJournal(records) {
+    if (!records.length) return Promise.resolve(null);
+    const payload = records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+    const append = journalQueue.then(async () => {
+      const start = journalSize;
+      pendingJournal.add(start);
+      try {
+        const handle = await fsp.open(journalFile, 'a');
+        try {
+          await handle.writeFile(payload, 'utf-8');
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+      } catch (err) {
+        pendingJournal.delete(start);
+        throw err;
+      }
+      journalSize = start + Buffer.byteLength(payload);
+      return start;
+    });
+    journalQueue = append.catch(() => {});
+    return append;
+  }
+
+  function journalRecords(username, before, after) {
+    const added = (after.history || []).length - ((before && before.history) || []).length;
+    if (added <= 0) return [];
+    const timestamp = new Date().toISOString();
+    // Everything but the history, so orders, settlements and margin calls changed by the
+    // same commit are restored together with the trade.
+    const { history, ...state } = after;
+    return history
+      .slice(0, added)
+      .reverse()
+      .map((entry) => ({ timestamp, username, entry, state }));
+  }
+
+  function getUser(username) {
+    return Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+  }
+
+  function hasUser(username) {
+    return Boolean(getUser(username));
+  }
+
+  function listUsernames() {
+    return Object.keys(users).filter((username) => users[username]);
+  }
+
+  function withUser(username, task) {
+    return withLock(username, async () => {
+      const current = getUser(username);
+      if (!current) {
+        throw new Error('用户不存在。');
+      }
+      const draft = structuredClone(current);
+      const result = await task(draft);
+      if (isDeepStrictEqual(current, draft)) {
+        return result;
+      }
+      const journalStart = await appendJournal(journalRecords(username, current, draft));
+      await commit(username, draft, journalStart);
+      return result;
+    });
+  }
+
+  function createUser(username, record) {
+    return withLock(username, async () => {
+      if (getUser(username)) {
+        throw new Error('该用户名已存在，请选择其他用户名。');
+      }
+      const draft = { [username]: structuredClone(record) };
+      normalize(draft);
+      await commit(username, draft[username]);
+      return users[username];
+    });
+  }
+
+  function exportUsers() {
+    return structuredClone(users);
+  }
+
+  function flushSync() {
+    writeFileAtomicSync(usersFile, JSON.stringify(users, null, 2));
+    writeFileAtomicSync(metaFile, JSON.stringify({ journalOffset: durableOffset() }));
+  }
+
+  load();
+
+  return {
+    createUser,
+    exportUsers,
+    flush: persist,
+    flushSync,
+    getUser,
+    hasUser,
+    listUsernames,
+    withUser
+  };
+}
+
+module.exports = {
+  createJsonStorage
+};
@@ -0,0 +1,20 @@
+// Serializes tasks per key; a failed task does not block the ones queued after it.
+function createLockManager() {
+  const tails = new Map();
+  return function withLock(key, task) {
+    const previous = tails.get(key) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => {});
+    tails.set(key, tail);
+    tail.then(() => {
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    });
+    return run;
+  };
+}
+
+module.exports = {
+  createLockManager
+};
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseSync } = require('node:sqlite');
+const { isDeepStrictEqual } = require('util');
+const { createJsonStorage } = require('./json');
+const { createLockManager } = require('./lock');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE IF NOT EXISTS users (
+  username TEXT PRIMARY KEY,
+  password_hash TEXT,
+  balance REAL NOT NULL DEFAULT 0,
+  account_type TEXT,
+  profile TEXT NOT NULL DEFAULT '{}'
+);
+CREATE TABLE IF NOT EXISTS holdings (
+  username TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  average_price REAL NOT NULL,
+  settlement_price REAL,
+  PRIMARY KEY (username, symbol)
+);
+CREATE TABLE IF NOT EXISTS trades (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  id TEXT NOT NULL UNIQUE,
+  username TEXT NOT NULL,
+  timestamp TEXT,
+  symbol TEXT,
+  type TEXT,
+  quantity REAL,
+  price REAL,
+  realized_pnl REAL,
+  balance_after REAL,
+  entry TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS trades_by_user ON trades (username, seq);
+CREATE INDEX IF NOT EXISTS trades_by_symbol ON trades (symbol, timestamp);
+CREATE TABLE IF NOT EXISTS orders (
+  id TEXT PRIMARY KEY,
+  username TEXT NOT NULL,
+  sort_index INTEGER NOT NULL,
+  symbol TEXT,
+  status TEXT,
+  created_at TEXT,
+  data TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS orders_by_user ON orders (username, sort_index);
+-- Per-user insight streams were replaced by the shared feed in data/insights.json.
+DROP TABLE IF EXISTS ai_insights;
+`;
+
+const COLUMN_FIELDS = ['passwordHash', 'balance', 'accountType', 'holdings', 'history', 'orders'];
+
+function nullable(value) {
+  return value === undefined ? null : value;
+}
+
+function profileOf(user) {
+  const profile = { ...user };
+  COLUMN_FIELDS.forEach((field) => delete profile[field]);
+  return profile;
+}
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+// Users are cached in memory for reads; each transaction writes only the rows
+// that differ between the committed record and the draft.
+function createSqliteStorage({ dataDir, normalize, file }) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const db = new DatabaseSync(file || path.join(dataDir, 'futures.db'));
+  db.exec('PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL;');
+  db.exec(SCHEMA);
+
+  const statements = {
+    upsertUser: db.prepare(
+      `INSERT INTO users (username, password_hash, balance, account_type, profile)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (username) DO UPDATE SET password_hash = excluded.password_hash, balance = excluded.balance,
+         account_type = excluded.account_type, profile = excluded.profile`
+    ),
+    upsertHolding: db.prepare(
+      `INSERT INTO holdings (username, symbol, position, average_price, settlement_price)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (username, symbol) DO UPDATE SET position = excluded.position,
+         average_price = excluded.average_price, settlement_price = excluded.settlement_price`
+    ),
+    deleteHolding: db.prepare('DELETE FROM holdings WHERE username = ? AND symbol = ?'),
+    upsertTrade: db.prepare(
+      `INSERT INTO trades (id, username, timestamp, symbol, type, quantity, price, realized_pnl, balance_after, entry)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET entry = excluded.entry`
+    ),
+    deleteTrade: db.prepare('DELETE FROM trades WHERE username = ? AND id = ?'),
+    upsertOrder: db.prepare(
+      `INSERT INTO orders (id, username, sort_index, symbol, status, created_at, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (id) DO UPDATE SET sort_index = excluded.sort_index, status = excluded.status, data = excluded.data`
+    ),
+    deleteOrder: db.prepare('DELETE FROM orders WHERE username = ? AND id = ?'),
+    getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+    setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+  };
+
+  const withLock = createLockManager();
+  const users = {};
+
+  function transaction(work) {
+    db.exec('BEGIN');
+    try {
+      work();
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  function writeUser(username, before, after) {
+    const previous = before || {};
+    statements.upsertUser.run(
+      username,
+      nullable(after.passwordHash),
+      Number(after.balance) || 0,
+      nullable(after.accountType),
+      JSON.stringify(profileOf(after))
+    );
+
+    const holdings = after.holdings || {};
+    for (const [symbol, holding] of Object.entries(holdings)) {
+      if (isDeepStrictEqual((previous.holdings || {})[symbol], holding)) continue;
+      statements.upsertHolding.run(
+        username,
+        symbol,
+        Number(holding.position) || 0,
+        Number(holding.averagePrice) || 0,
+        nullable(holding.settlementPrice)
+      );
+    }
+    for (const symbol of Object.keys(previous.holdings || {})) {
+      if (!holdings[symbol]) statements.deleteHolding.run(username, symbol);
+    }
+
+    const history = after.history || [];
+    const knownTrades = new Map((previous.history || []).map((entry) => [entry.id, entry]));
+    // History is newest first; insert oldest first so seq keeps the same order.
+    for (const entry of [...history].reverse()) {
+      if (knownTrades.has(entry.id) && isDeepStrictEqual(knownTrades.get(entry.id), entry)) continue;
+      statements.upsertTrade.run(
+        entry.id,
+        username,
+        nullable(entry.timestamp),
+        nullable(entry.symbol),
+        nullable(entry.type),
+        nullable(entry.quantity),
+        nullable(entry.price),
+        nullable(entry.realizedPnl),
+        nullable(entry.balanceAfter),
+        JSON.stringify(entry)
+      );
+    }
+    const tradeIds = new Set(history.map((entry) => entry.id));
+    for (const id of knownTrades.keys()) {
+      if (!tradeIds.has(id)) statements.deleteTrade.run(username, id);
+    }
+
+    const orders = after.orders || [];
+    const knownOrders = (previous.orders || []).reduce((map, order, index) => map.set(order.id, { order, index }), new Map());
+    orders.forEach((order, index) => {
+      const known = knownOrders.get(order.id);
+      if (known && known.index === index && isDeepStrictEqual(known.order, order)) return;
+      statements.upsertOrder.run(
+        order.id,
+        username,
+        index,
+        nullable(order.symbol),
+        nullable(order.status),
+        nullable(order.createdAt),
+        JSON.stringify(order)
+      );
+    });
+    const orderIds = new Set(orders.map((order) => order.id));
+    for (const id of knownOrders.keys()) {
+      if (!orderIds.has(id)) statements.deleteOrder.run(username, id);
+    }
+  }
+
+  function load() {
+    for (const row of db.prepare('SELECT * FROM users').all()) {
+      users[row.username] = {
+        ...parseJson(row.profile, {}),
+        passwordHash: row.password_hash,
+        balance: row.balance,
+        accountType: row.account_type,
+        holdings: {},
+        history: [],
+        orders: []
+      };
+    }
+    for (const row of db.prepare('SELECT * FROM holdings').all()) {
+      const user = users[row.username];
+      if (!user) continue;
+      const holding = { position: row.position, averagePrice: row.average_price };
+      if (row.settlement_price !== null) {
+        holding.settlementPrice = row.settlement_price;
+      }
+      user.holdings[row.symbol] = holding;
+    }
+    for (const row of db.prepare('SELECT username, entry FROM trades ORDER BY seq DESC').all()) {
+      const user = users[row.username];
+      if (user) user.history.push(JSON.parse(row.entry));
+    }
+    for (const row of db.prepare('SELECT username, data FROM orders ORDER BY sort_index').all()) {
+      const user = users[row.username];
+      if (user) user.orders.push(JSON.parse(row.data));
+    }
+    for (const user of Object.values(users)) {
+      if (!user.orders.length) delete user.orders;
+    }
+  }
+
+  function withIds(record) {
+    (record.history || []).forEach((entry) => {
+      if (!entry.id) entry.id = crypto.randomUUID();
+    });
+    return record;
+  }
+
+  // One-shot import of the JSON store (snapshot plus any journaled trades).
+  function migrateFromJson() {
+    if (statements.getMeta.get('migratedFrom')) return;
+    const usersFile = path.join(dataDir, 'users.json');
+    if (fs.existsSync(usersFile) && !Object.keys(users).length) {
+      const legacy = createJsonStorage({ dataDir, normalize }).exportUsers();
+      const migrated = Object.entries(legacy).filter(([, record]) => record);
+      transaction(() => {
+        migrated.forEach(([username, record]) => writeUser(username, null, withIds(record)));
+      });
+      migrated.forEach(([username, record]) => {
+        users[username] = record;
+      });
+      console.log(`Migrated ${migrated.length} users from users.json to SQLite`);
+    }
+    statements.setMeta.run('migratedFrom', JSON.stringify({ file: 'users.json', at: new Date().toISOString() }));
+  }
+
+  function commit(username, before, after) {
+    transaction(() => writeUser(username, before, after));
+    users[username] = after;
+  }
+
+  function getUser(username) {
+    return Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+  }
+
+  function hasUser(username) {
+    return Boolean(getUser(username));
+  }
+
+  function listUsernames() {
+    return Object.keys(users).filter((username) => users[username]);
+  }
+
+  function withUser(username, task) {
+    return withLock(username, async () => {
+      const current = getUser(username);
+      if (!current) {
+        throw new Error('用户不存在。');
+      }
+      const draft = structuredClone(current);
+      const result = await task(draft);
+      if (!isDeepStrictEqual(current, draft)) {
+        commit(username, current, withIds(draft));
+      }
+      return result;
+    });
+  }
+
+  function createUser(username, record) {
+    return withLock(username, async () => {
+      if (getUser(username)) {
+        throw new Error('该用户名已存在，请选择其他用户名。');
+      }
+      const draft = { [username]: structuredClone(record) };
+      normalize(draft);
+      commit(username, null, draft[username]);
+      return users[username];
+    });
+  }
+
+  function exportUsers() {
+    return structuredClone(users);
+  }
+
+  function flushSync() {
+    db.exec('PRAGMA wal_checkpoint(TRUNCATE)');
+  }
+
+  load();
+  migrateFromJson();
+
+  return {
+    createUser,
+    exportUsers,
+    flush: () => Promise.resolve(),
+    flushSync,
+    getUser,
+    hasUser,
+    listUsernames,
+    withUser
+  };
+}
+
+module.exports = {
+  createSqliteStorage
+};
@@ -0,0 +1,146 @@
+// Exchange hours are expressed in China Standard Time (UTC+8, no daylight saving).
+const CST_OFFSET_MS = 8 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOOKAHEAD_DAYS = 20;
+
+const SESSION_TEMPLATES = {
+  commodity: [
+    { open: '09:00', close: '10:15' },
+    { open: '10:30', close: '11:30' },
+    { open: '13:30', close: '15:00' }
+  ],
+  commodityNight: [
+    { open: '09:00', close: '10:15' },
+    { open: '10:30', close: '11:30' },
+    { open: '13:30', close: '15:00' },
+    { open: '21:00', close: '23:00' }
+  ],
+  metalsNight: [
+    { open: '09:00', close: '10:15' },
+    { open: '10:30', close: '11:30' },
+    { open: '13:30', close: '15:00' },
+    { open: '21:00', close: '02:30' }
+  ],
+  equity: [
+    { open: '09:30', close: '11:30' },
+    { open: '13:00', close: '15:00' }
+  ]
+};
+
+// Weekday exchange closures; weekends are always closed.
+const HOLIDAYS = [
+  '2025-01-01',
+  '2025-01-28',
+  '2025-01-29',
+  '2025-01-30',
+  '2025-01-31',
+  '2025-02-03',
+  '2025-02-04',
+  '2025-04-04',
+  '2025-05-01',
+  '2025-05-02',
+  '2025-05-05',
+  '2025-06-02',
+  '2025-10-01',
+  '2025-10-02',
+  '2025-10-03',
+  '2025-10-06',
+  '2025-10-07',
+  '2025-10-08',
+  '2026-01-01',
+  '2026-01-02',
+  '2026-02-16',
+  '2026-02-17',
+  '2026-02-18',
+  '2026-02-19',
+  '2026-02-20',
+  '2026-02-23',
+  '2026-04-06',
+  '2026-05-01',
+  '2026-05-04',
+  '2026-05-05',
+  '2026-06-19',
+  '2026-09-25',
+  '2026-10-01',
+  '2026-10-02',
+  '2026-10-05',
+  '2026-10-06',
+  '2026-10-07'
+];
+
+function parseClock(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return (hours * 60 + minutes) * 60 * 1000;
+}
+
+function dateKey(dayStart) {
+  return new Date(dayStart).toISOString().slice(0, 10);
+}
+
+function createTradingCalendar({ enabled = true, holidays = [] } = {}) {
+  const closed = new Set([...HOLIDAYS, ...holidays]);
+
+  // dayStart is midnight CST expressed on a UTC-shifted clock.
+  function isTradingDay(dayStart) {
+    const weekday = new Date(dayStart).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !closed.has(dateKey(dayStart));
+  }
+
+  function nextWeekday(dayStart) {
+    let next = dayStart + DAY_MS;
+    while ([0, 6].includes(new Date(next).getUTCDay())) {
+      next += DAY_MS;
+    }
+    return next;
+  }
+
+  // Night sessions belong to the next trading day, so they are skipped before holidays.
+  function intervalsFor(sessions, dayStart) {
+    if (!isTradingDay(dayStart)) return [];
+    const beforeHoliday = closed.has(dateKey(nextWeekday(dayStart)));
+    return sessions
+      .map((session) => {
+        const open = parseClock(session.open);
+        const close = parseClock(session.close);
+        const night = open >= parseClock('18:00');
+        if (night && beforeHoliday) return null;
+        const start = dayStart + open - CST_OFFSET_MS;
+        const end = dayStart + (close > open ? close : close + DAY_MS) - CST_OFFSET_MS;
+        return { start, end, night };
+      })
+      .filter(Boolean);
+  }
+
+  function getStatus(sessions, now = Date.now()) {
+    if (!enabled || !Array.isArray(sessions) || !sessions.length) {
+      return { open: true, alwaysOpen: true, nextOpen: null, nextClose: null };
+    }
+    const today = Math.floor((now + CST_OFFSET_MS) / DAY_MS) * DAY_MS;
+    const intervals = [];
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset += 1) {
+      intervals.push(...intervalsFor(sessions, today + offset * DAY_MS));
+    }
+    intervals.sort((a, b) => a.start - b.start);
+    const current = intervals.find((item) => item.start <= now && now < item.end);
+    const upcoming = intervals.find((item) => item.start > now);
+    return {
+      open: Boolean(current),
+      alwaysOpen: false,
+      night: current ? current.night : false,
+      nextOpen: upcoming ? new Date(upcoming.start).toISOString() : null,
+      nextClose: current ? new Date(current.end).toISOString() : null
+    };
+  }
+
+  return {
+    getStatus,
+    isOpen: (sessions, now) => getStatus(sessions, now).open,
+    isTradingDay: (now = Date.now()) =>
+      !enabled || isTradingDay(Math.floor((now + CST_OFFSET_MS) / DAY_MS) * DAY_MS)
+  };
+}
+
+module.exports = {
+  SESSION_TEMPLATES,
+  createTradingCalendar
+};
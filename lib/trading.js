@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const { getContract } = require('./contracts');
+const { applyFill, roundMoney } = require('./positions');
+const { computeAccount } = require('./margin');
+
+function executeTrade(user, order, getPrice) {
+  const { symbol, type, quantity, price, checkMargin = true, details = {} } = order;
+  const contract = getContract(symbol);
+  if (!contract) {
+    throw new Error('合约不存在。');
+  }
+  user.holdings = user.holdings || {};
+  const fill = applyFill(user.holdings[symbol], type, quantity, price, contract.multiplier);
+  const { holding } = fill;
+  const nextHoldings = { ...user.holdings };
+  if (holding.position === 0) {
+    delete nextHoldings[symbol];
+  } else {
+    nextHoldings[symbol] = holding;
+  }
+  const nextBalance = roundMoney(user.balance + fill.cashPnl);
+  if (checkMargin && fill.openedQuantity > 0) {
+    const account = computeAccount({ balance: nextBalance, holdings: nextHoldings }, getPrice);
+    if (account.availableFunds < 0) {
+      throw new Error('可用资金不足，无法支付开仓保证金。');
+    }
+  }
+  user.balance = nextBalance;
+  user.holdings = nextHoldings;
+
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    type,
+    symbol,
+    quantity,
+    price,
+    balanceAfter: user.balance,
+    positionAfter: holding.position,
+    offset: fill.offset,
+    realizedPnl: fill.realizedPnl,
+    ...details
+  };
+  user.history = [entry, ...(user.history || [])];
+  return entry;
+}
+
+module.exports = {
+  executeTrade
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { hashPasswordSync } = require('./auth');
+const { roundMoney } = require('./positions');
+
+function normalizeUsers(users) {
+  let updated = false;
+  for (const [username, user] of Object.entries(users)) {
+    if (!user) continue;
+    if (typeof user.password === 'string') {
+      user.passwordHash = hashPasswordSync(user.password);
+      delete user.password;
+      updated = true;
+    }
+    if (!user.holdings) {
+      const holdings = {};
+      if (typeof user.position === 'number' && user.position !== 0) {
+        holdings.HOG = {
+          position: user.position,
+          averagePrice: Number(user.averagePrice || 0)
+        };
+      }
+      user.holdings = holdings;
+      delete user.position;
+      delete user.averagePrice;
+      updated = true;
+    }
+    if (!Array.isArray(user.history)) {
+      user.history = [];
+      updated = true;
+    }
+    // Insights are a shared per-contract feed now; only read state and subscriptions are per user.
+    if (user.aiInsights) {
+      delete user.aiInsights;
+      updated = true;
+    }
+    if (!user.insightPrefs) {
+      user.insightPrefs = { subscriptions: null, lastRead: {} };
+      updated = true;
+    }
+    // Legacy spot holdings were counted in tonnes rather than contracts, so they are closed
+    // at their average price and the proceeds returned to cash before switching to margin.
+    // Each close is recorded as a trade so the history still reconciles with the balance.
+    if (user.accountType !== 'margin') {
+      let balance = Number(user.balance) || 0;
+      const closes = [];
+      for (const [symbol, holding] of Object.entries(user.holdings)) {
+        const position = Number(holding.position) || 0;
+        const price = Number(holding.averagePrice) || 0;
+        if (!position) continue;
+        balance = roundMoney(balance + position * price);
+        closes.unshift({
+          id: crypto.randomUUID(),
+          timestamp: new Date().toISOString(),
+          type: position > 0 ? 'sell' : 'buy',
+          symbol,
+          quantity: Math.abs(position),
+          price,
+          balanceAfter: balance,
+          positionAfter: 0,
+          offset: 'close',
+          realizedPnl: 0,
+          migration: true
+        });
+      }
+      user.balance = roundMoney(balance);
+      user.history = [...closes, ...user.history];
+      user.holdings = {};
+      user.accountType = 'margin';
+      updated = true;
+    }
+    let historyUpdated = false;
+    // Trade ids break sort ties in history queries, so legacy entries get one too.
+    user.history = user.history.map((entry) => {
+      if (entry && (!entry.symbol || !entry.id)) {
+        historyUpdated = true;
+        return { ...entry, symbol: entry.symbol || 'HOG', id: entry.id || crypto.randomUUID() };
+      }
+      return entry;
+    });
+    if (historyUpdated) {
+      updated = true;
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  normalizeUsers
+};
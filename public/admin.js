@@ -0,0 +1,279 @@
+const API = {
+  users: '/api/admin/users',
+  contracts: '/api/admin/contracts',
+  audit: '/api/admin/audit'
+};
+
+const SESSION_KEY = 'futures-session';
+
+const ACTION_LABELS = {
+  'user.adjust': '调整余额',
+  'user.reset': '重置账户',
+  'contract.add': '新增合约',
+  'contract.suspend': '下架合约',
+  'contract.list': '重新上架',
+  'contract.halt': '暂停交易',
+  'contract.resume': '恢复交易'
+};
+
+let token = null;
+let searchTimer = null;
+
+const adminApp = document.getElementById('admin-app');
+const userDisplay = document.getElementById('user-display');
+const sessionAlert = document.getElementById('session-alert');
+const sessionAlertText = document.getElementById('session-alert-text');
+const sessionAlertClose = document.getElementById('session-alert-close');
+const userSearch = document.getElementById('user-search');
+const usersBody = document.getElementById('users-body');
+const accountForm = document.getElementById('account-form');
+const accountUsername = document.getElementById('account-username');
+const accountAmount = document.getElementById('account-amount');
+const accountNote = document.getElementById('account-note');
+const accountMessage = document.getElementById('account-message');
+const contractsBody = document.getElementById('contracts-body');
+const contractForm = document.getElementById('contract-form');
+const contractMessage = document.getElementById('contract-message');
+const auditBody = document.getElementById('audit-body');
+
+function formatCurrency(value) {
+  return Number(value || 0).toLocaleString('zh-CN', {
+    style: 'currency',
+    currency: 'CNY',
+    minimumFractionDigits: 2
+  });
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleString('zh-CN', { hour12: false });
+}
+
+function setMessage(el, message, isError = false) {
+  el.textContent = message;
+  el.style.color = isError ? '#ef4444' : '#94a3b8';
+}
+
+function showAlert(message) {
+  sessionAlertText.textContent = message;
+  sessionAlert.classList.remove('hidden');
+}
+
+sessionAlertClose.addEventListener('click', () => sessionAlert.classList.add('hidden'));
+
+async function request(url, options = {}) {
+  const headers = { Authorization: `Bearer ${token}` };
+  if (options.body) {
+    headers['Content-Type'] = 'application/json';
+  }
+  const response = await fetch(url, { ...options, headers });
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    sessionStorage.removeItem(SESSION_KEY);
+    window.location.href = 'index.html';
+    throw new Error(data.error || '未授权');
+  }
+  if (!response.ok) {
+    throw new Error(data.error || '请求失败');
+  }
+  return data;
+}
+
+function placeholderRow(body, colSpan, text) {
+  body.innerHTML = '';
+  const row = document.createElement('tr');
+  const cell = document.createElement('td');
+  cell.colSpan = colSpan;
+  cell.className = 'placeholder';
+  cell.textContent = text;
+  row.appendChild(cell);
+  body.appendChild(row);
+}
+
+function appendRow(body, values) {
+  const row = document.createElement('tr');
+  values.forEach((value) => {
+    const cell = document.createElement('td');
+    if (value instanceof Node) {
+      cell.appendChild(value);
+    } else {
+      cell.textContent = value;
+    }
+    row.appendChild(cell);
+  });
+  body.appendChild(row);
+  return row;
+}
+
+function actionButton(label, onClick) {
+  const button = document.createElement('button');
+  button.className = 'ghost-btn small-btn';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+async function refreshUsers() {
+  const query = userSearch.value.trim();
+  const data = await request(`${API.users}?q=${encodeURIComponent(query)}`, { method: 'GET' });
+  const users = data.users || [];
+  if (!users.length) {
+    placeholderRow(usersBody, 9, query ? '没有匹配的用户' : '暂无用户');
+    return;
+  }
+  usersBody.innerHTML = '';
+  users.forEach((user) => {
+    appendRow(usersBody, [
+      user.username,
+      user.role === 'admin' ? '管理员' : '用户',
+      formatCurrency(user.balance),
+      formatCurrency(user.equity),
+      String(user.positions),
+      String(user.openOrders),
+      String(user.trades),
+      user.marginCall ? '追加保证金' : '正常',
+      actionButton('选择', () => {
+        accountUsername.value = user.username;
+        accountAmount.focus();
+      })
+    ]);
+  });
+}
+
+function contractStatus(contract) {
+  if (contract.suspended) return '已下架';
+  if (contract.halt) return contract.halt.reason ? `暂停交易（${contract.halt.reason}）` : '暂停交易';
+  return '交易中';
+}
+
+async function updateContract(symbol, action, note = '') {
+  try {
+    await request(`${API.contracts}/${encodeURIComponent(symbol)}/${action}`, {
+      method: 'POST',
+      body: JSON.stringify({ note })
+    });
+    await Promise.all([refreshContracts(), refreshAudit()]);
+  } catch (err) {
+    showAlert(err.message);
+  }
+}
+
+async function refreshContracts() {
+  const data = await request(API.contracts, { method: 'GET' });
+  contractsBody.innerHTML = '';
+  (data.contracts || []).forEach((contract) => {
+    const actions = document.createElement('div');
+    actions.className = 'admin-actions';
+    if (contract.halt) {
+      actions.appendChild(actionButton('恢复交易', () => updateContract(contract.symbol, 'resume')));
+    } else {
+      actions.appendChild(
+        actionButton('暂停交易', () => {
+          const note = window.prompt(`暂停 ${contract.name} 交易的原因：`, '');
+          if (note !== null) updateContract(contract.symbol, 'halt', note);
+        })
+      );
+    }
+    actions.appendChild(
+      contract.suspended
+        ? actionButton('重新上架', () => updateContract(contract.symbol, 'list'))
+        : actionButton('下架', () => {
+            if (window.confirm(`确定下架 ${contract.name}？下架后用户无法再交易该合约。`)) {
+              updateContract(contract.symbol, 'suspend');
+            }
+          })
+    );
+    appendRow(contractsBody, [
+      contract.symbol,
+      contract.name,
+      String(contract.multiplier),
+      String(contract.tickSize),
+      `${(contract.initialMarginRate * 100).toFixed(0)}% / ${(contract.maintenanceMarginRate * 100).toFixed(0)}%`,
+      contractStatus(contract),
+      actions
+    ]);
+  });
+}
+
+function describeAudit(entry) {
+  const parts = [];
+  if (entry.amount !== undefined) parts.push(`金额 ${formatCurrency(entry.amount)}`);
+  if (entry.balanceAfter !== undefined) parts.push(`余额 ${formatCurrency(entry.balanceAfter)}`);
+  if (entry.name) parts.push(entry.name);
+  if (entry.note) parts.push(`备注：${entry.note}`);
+  return parts.join('，') || '-';
+}
+
+async function refreshAudit() {
+  const data = await request(`${API.audit}?limit=100`, { method: 'GET' });
+  const entries = data.entries || [];
+  if (!entries.length) {
+    placeholderRow(auditBody, 5, '暂无操作记录');
+    return;
+  }
+  auditBody.innerHTML = '';
+  entries.forEach((entry) => {
+    appendRow(auditBody, [
+      formatTime(entry.timestamp),
+      entry.actor,
+      ACTION_LABELS[entry.action] || entry.action,
+      entry.target,
+      describeAudit(entry)
+    ]);
+  });
+}
+
+accountForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const action = event.submitter?.dataset.action || 'adjust';
+  const target = accountUsername.value.trim();
+  if (action === 'reset' && !window.confirm(`确定将 ${target} 重置为初始资金？持仓、委托与交易记录将被清空。`)) {
+    return;
+  }
+  try {
+    const data = await request(`${API.users}/${encodeURIComponent(target)}/${action}`, {
+      method: 'POST',
+      body: JSON.stringify({ amount: accountAmount.value, note: accountNote.value })
+    });
+    setMessage(accountMessage, data.message);
+    accountAmount.value = '';
+    accountNote.value = '';
+    await Promise.all([refreshUsers(), refreshAudit()]);
+  } catch (err) {
+    setMessage(accountMessage, err.message, true);
+  }
+});
+
+contractForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const payload = Object.fromEntries(new FormData(contractForm).entries());
+  try {
+    const data = await request(API.contracts, { method: 'POST', body: JSON.stringify(payload) });
+    setMessage(contractMessage, data.message);
+    contractForm.reset();
+    await Promise.all([refreshContracts(), refreshAudit()]);
+  } catch (err) {
+    setMessage(contractMessage, err.message, true);
+  }
+});
+
+userSearch.addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => refreshUsers().catch((err) => showAlert(err.message)), 300);
+});
+
+window.addEventListener('DOMContentLoaded', async () => {
+  const stored = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+  if (!stored || !stored.token) {
+    window.location.href = 'index.html';
+    return;
+  }
+  token = stored.token;
+  userDisplay.textContent = stored.username;
+  try {
+    await Promise.all([refreshUsers(), refreshContracts(), refreshAudit()]);
+    adminApp.classList.remove('hidden');
+  } catch (err) {
+    adminApp.classList.add('hidden');
+    showAlert(`${err.message} 请使用管理员账户登录。`);
+  }
+});
@@ -0,0 +1,262 @@
+const API = {
+  analytics: '/api/analytics',
+  contracts: '/api/contracts'
+};
+
+const SESSION_KEY = 'futures-session';
+const TICK_COLOR = '#94a3b8';
+const GRID_COLOR = 'rgba(148, 163, 184, 0.15)';
+
+let token = null;
+let contractNames = {};
+let equityChart = null;
+let drawdownChart = null;
+
+const analyticsApp = document.getElementById('analytics-app');
+const userDisplay = document.getElementById('user-display');
+const sessionAlert = document.getElementById('session-alert');
+const sessionAlertText = document.getElementById('session-alert-text');
+const sessionAlertClose = document.getElementById('session-alert-close');
+const rangeSelect = document.getElementById('analytics-range');
+const sinceEl = document.getElementById('analytics-since');
+const symbolBody = document.getElementById('symbol-body');
+
+function formatCurrency(value) {
+  return Number(value || 0).toLocaleString('zh-CN', {
+    style: 'currency',
+    currency: 'CNY',
+    minimumFractionDigits: 2
+  });
+}
+
+function formatSignedCurrency(value) {
+  return `${value > 0 ? '+' : ''}${formatCurrency(value)}`;
+}
+
+function formatPercent(value) {
+  return value === null || value === undefined ? '—' : `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function formatRate(value) {
+  return value === null || value === undefined ? '—' : `${value.toFixed(1)}%`;
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleString('zh-CN', { hour12: false });
+}
+
+function showAlert(message) {
+  sessionAlertText.textContent = message;
+  sessionAlert.classList.remove('hidden');
+}
+
+sessionAlertClose.addEventListener('click', () => sessionAlert.classList.add('hidden'));
+
+async function request(url) {
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    sessionStorage.removeItem(SESSION_KEY);
+    window.location.href = 'index.html';
+    throw new Error(data.error || '未授权');
+  }
+  if (!response.ok) {
+    throw new Error(data.error || '请求失败');
+  }
+  return data;
+}
+
+function setStat(id, text, tone = 0) {
+  const el = document.getElementById(id);
+  el.textContent = text;
+  el.classList.toggle('pnl-up', tone > 0);
+  el.classList.toggle('pnl-down', tone < 0);
+}
+
+function placeholderRow(body, colSpan, text) {
+  body.innerHTML = '';
+  const row = document.createElement('tr');
+  const cell = document.createElement('td');
+  cell.colSpan = colSpan;
+  cell.className = 'placeholder';
+  cell.textContent = text;
+  row.appendChild(cell);
+  body.appendChild(row);
+}
+
+function pnlCell(value) {
+  const cell = document.createElement('td');
+  cell.textContent = formatSignedCurrency(value);
+  if (value) cell.className = value > 0 ? 'pnl-up' : 'pnl-down';
+  return cell;
+}
+
+function axisOptions() {
+  return {
+    x: {
+      type: 'time',
+      time: { tooltipFormat: 'yyyy-MM-dd HH:mm' },
+      ticks: { color: TICK_COLOR, maxRotation: 0, autoSkipPadding: 16 },
+      grid: { color: GRID_COLOR }
+    },
+    y: {
+      ticks: { color: TICK_COLOR },
+      grid: { color: GRID_COLOR }
+    }
+  };
+}
+
+function renderCharts(curve) {
+  const equity = curve.map((point) => ({ x: Date.parse(point.time), y: point.equity }));
+  const adjusted = curve.map((point) => ({ x: Date.parse(point.time), y: point.adjustedEquity }));
+  const drawdown = curve.map((point) => ({ x: Date.parse(point.time), y: point.drawdown }));
+  if (!equityChart) {
+    equityChart = new Chart(document.getElementById('equity-chart'), {
+      type: 'line',
+      data: {
+        datasets: [
+          { label: '账户权益', data: [], borderColor: '#38bdf8', borderWidth: 2, pointRadius: 0, tension: 0.2 },
+          {
+            label: '剔除出入金',
+            data: [],
+            borderColor: '#a78bfa',
+            borderWidth: 1.5,
+            borderDash: [6, 4],
+            pointRadius: 0,
+            tension: 0.2
+          }
+        ]
+      },
+      options: {
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: { legend: { labels: { color: TICK_COLOR } } },
+        scales: axisOptions()
+      }
+    });
+    drawdownChart = new Chart(document.getElementById('drawdown-chart'), {
+      type: 'line',
+      data: {
+        datasets: [
+          {
+            label: '回撤 (%)',
+            data: [],
+            borderColor: '#f87171',
+            backgroundColor: 'rgba(248, 113, 113, 0.2)',
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: 'origin'
+          }
+        ]
+      },
+      options: {
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        plugins: { legend: { labels: { color: TICK_COLOR } } },
+        scales: { ...axisOptions(), y: { max: 0, ticks: { color: TICK_COLOR }, grid: { color: GRID_COLOR } } }
+      }
+    });
+  }
+  equityChart.data.datasets[0].data = equity;
+  equityChart.data.datasets[1].data = adjusted;
+  drawdownChart.data.datasets[0].data = drawdown;
+  equityChart.update();
+  drawdownChart.update();
+}
+
+function renderPerformance(performance) {
+  const { maxDrawdown } = performance;
+  setStat('stat-start-equity', performance.startEquity === null ? '-' : formatCurrency(performance.startEquity));
+  setStat('stat-end-equity', performance.endEquity === null ? '-' : formatCurrency(performance.endEquity));
+  setStat('stat-net-flows', formatSignedCurrency(performance.netFlows));
+  setStat('stat-return', formatPercent(performance.totalReturn), performance.totalReturn);
+  setStat(
+    'stat-drawdown',
+    maxDrawdown.amount ? `${formatCurrency(maxDrawdown.amount)}（${maxDrawdown.percent.toFixed(2)}%）` : '—',
+    -maxDrawdown.amount
+  );
+  setStat(
+    'stat-drawdown-period',
+    maxDrawdown.peakAt ? `${formatTime(maxDrawdown.peakAt)} → ${formatTime(maxDrawdown.troughAt)}` : '—'
+  );
+  setStat('stat-sharpe', performance.sharpe === null ? '数据不足' : performance.sharpe.toFixed(2));
+}
+
+function renderTrades(trades) {
+  setStat('stat-closed', `${trades.closed}（${trades.wins} / ${trades.losses}）`);
+  setStat('stat-win-rate', formatRate(trades.winRate));
+  setStat('stat-realized', formatSignedCurrency(trades.realizedPnl), trades.realizedPnl);
+  setStat('stat-profit-factor', trades.profitFactor === null ? '—' : trades.profitFactor.toFixed(2));
+  setStat(
+    'stat-average',
+    `${trades.averageWin === null ? '—' : formatCurrency(trades.averageWin)} / ${
+      trades.averageLoss === null ? '—' : formatCurrency(trades.averageLoss)
+    }`
+  );
+  setStat(
+    'stat-largest',
+    `${trades.largestWin === null ? '—' : formatCurrency(trades.largestWin)} / ${
+      trades.largestLoss === null ? '—' : formatCurrency(trades.largestLoss)
+    }`
+  );
+}
+
+function renderSymbols(rows) {
+  if (!rows.length) {
+    placeholderRow(symbolBody, 7, '暂无成交记录');
+    return;
+  }
+  symbolBody.innerHTML = '';
+  rows.forEach((item) => {
+    const row = document.createElement('tr');
+    [contractNames[item.symbol] || item.symbol, String(item.trades), String(item.volume), formatRate(item.winRate)].forEach(
+      (value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+    );
+    row.appendChild(pnlCell(item.realizedPnl));
+    row.appendChild(pnlCell(item.openPnl));
+    row.appendChild(pnlCell(item.totalPnl));
+    symbolBody.appendChild(row);
+  });
+}
+
+async function refreshAnalytics() {
+  const data = await request(`${API.analytics}?range=${encodeURIComponent(rangeSelect.value)}`);
+  sinceEl.textContent = data.since ? `统计起点：${formatTime(data.since)}` : '暂无权益快照';
+  renderCharts(data.curve || []);
+  renderPerformance(data.performance);
+  renderTrades(data.trades);
+  renderSymbols(data.bySymbol || []);
+}
+
+async function loadContractNames() {
+  const response = await fetch(API.contracts);
+  const data = await response.json().catch(() => ({}));
+  contractNames = Object.fromEntries((data.contracts || []).map((contract) => [contract.symbol, contract.name]));
+}
+
+rangeSelect.addEventListener('change', () => {
+  refreshAnalytics().catch((err) => showAlert(err.message));
+});
+
+window.addEventListener('DOMContentLoaded', async () => {
+  const stored = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+  if (!stored || !stored.token) {
+    window.location.href = 'index.html';
+    return;
+  }
+  token = stored.token;
+  userDisplay.textContent = stored.username;
+  analyticsApp.classList.remove('hidden');
+  try {
+    await loadContractNames().catch(() => {});
+    await refreshAnalytics();
+  } catch (err) {
+    showAlert(err.message);
+  }
+});
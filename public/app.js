@@ -1,25 +1,32 @@
+import { downloadExport } from './export-client.js';
+
 const API = {
   register: '/api/register',
   login: '/api/login',
   logout: '/api/logout',
   summary: '/api/summary',
   history: '/api/history',
-  ai: '/api/ai-insights'
+  sessions: '/api/sessions',
+  settings: '/api/account/settings',
+  contracts: '/api/contracts',
+  stream: '/api/stream',
+  aiFeed: '/api/ai-insights/feed',
+  aiRead: '/api/ai-insights/read',
+  aiSubscriptions: '/api/ai-insights/subscriptions'
 };
 
 const SESSION_KEY = 'futures-session';
+const SUMMARY_REFRESH_MS = 30 * 1000;
 
-const MARKETS = {
-  HOG: { name: '生猪期货', unit: '元/吨', currency: 'CNY' },
-  GOLD: { name: '黄金期货', unit: '元/克', currency: 'CNY' },
-  MOUTAI: { name: '白酒主力（茅台）', unit: '元/手', currency: 'CNY' },
-  CRUDE: { name: '原油期货', unit: '元/桶', currency: 'CNY' },
-  SOY: { name: '豆粕期货', unit: '元/吨', currency: 'CNY' }
-};
-
+let markets = {};
 let token = null;
 let username = null;
 let aiTimer = null;
+let aiFeed = { items: [], subscriptions: null };
+let account = null;
+let priceSource = null;
+let streamSymbols = '';
+let summaryTimer = null;
 
 const authShell = document.getElementById('auth-shell');
 const dashboard = document.getElementById('dashboard');
@@ -30,11 +37,25 @@ const loginMessage = document.getElementById('login-message');
 const registerMessage = document.getElementById('register-message');
 const logoutBtn = document.getElementById('logout-btn');
 const userDisplay = document.getElementById('user-display');
+const adminLink = document.getElementById('admin-link');
 const balanceEl = document.getElementById('account-balance');
+const equityEl = document.getElementById('account-equity');
+const unrealizedEl = document.getElementById('account-unrealized');
+const marginEl = document.getElementById('account-margin');
+const availableEl = document.getElementById('account-available');
+const marginCallBanner = document.getElementById('margin-call-banner');
+const settlementHint = document.getElementById('settlement-hint');
 const holdingsBody = document.getElementById('holdings-body');
+const holdingsTotal = document.getElementById('holdings-total');
 const historyBody = document.getElementById('history-body');
 const aiContent = document.getElementById('ai-content');
 const aiNextEl = document.getElementById('ai-next');
+const aiUnreadEl = document.getElementById('ai-unread');
+const aiSubscriptionsEl = document.getElementById('ai-subscriptions');
+const aiMarkReadBtn = document.getElementById('ai-mark-read');
+const marketsGrid = document.getElementById('markets-grid');
+const sessionsBody = document.getElementById('sessions-body');
+const maxSessionsSelect = document.getElementById('max-sessions');
 const sessionAlert = document.getElementById('session-alert');
 const sessionAlertText = document.getElementById('session-alert-text');
 const sessionAlertClose = document.getElementById('session-alert-close');
@@ -51,6 +72,36 @@ function formatNumber(value) {
   return Number(value || 0).toLocaleString('zh-CN');
 }
 
+function formatPosition(position) {
+  const value = Number(position) || 0;
+  if (!value) return '0';
+  return `${value > 0 ? '多' : '空'} ${formatNumber(Math.abs(value))}`;
+}
+
+function formatSide(entry) {
+  const side = entry.type === 'buy' ? '买入' : '卖出';
+  const offsets = { open: '开仓', close: '平仓', reverse: '反手' };
+  if (entry.liquidation) {
+    return `强平${side}`;
+  }
+  return `${side}${offsets[entry.offset] || ''}`;
+}
+
+function renderMarginCall(marginCall) {
+  if (!marginCallBanner) return;
+  if (!marginCall) {
+    marginCallBanner.classList.add('hidden');
+    marginCallBanner.textContent = '';
+    return;
+  }
+  marginCallBanner.textContent = `追加保证金通知：账户权益 ${formatCurrency(marginCall.equity)} 已低于维持保证金 ${formatCurrency(
+    marginCall.maintenanceMargin
+  )}，需补足 ${formatCurrency(marginCall.shortfall)}。请在 ${new Date(marginCall.deadline).toLocaleString('zh-CN', {
+    hour12: false
+  })} 前减仓或补充资金，否则系统将强行平仓。`;
+  marginCallBanner.classList.remove('hidden');
+}
+
 function setMessage(el, message, isError = false) {
   if (!el) return;
   el.textContent = message;
@@ -139,6 +190,7 @@ function handleUnauthorized(message) {
   setMessage(loginMessage, message, true);
   showAlert(message);
   stopAiAutoRefresh();
+  stopLiveValuation();
   setAiNextText('下次预计生成：-');
 }
 
@@ -193,18 +245,23 @@ logoutBtn.addEventListener('click', async () => {
     setMessage(loginMessage, '');
     setMessage(registerMessage, '');
     stopAiAutoRefresh();
+    stopLiveValuation();
     setAiNextText('下次预计生成：-');
   }
 });
 
 async function enterDashboard() {
   stopAiAutoRefresh();
+  stopLiveValuation();
   authShell.classList.add('hidden');
   dashboard.classList.remove('hidden');
   userDisplay.textContent = username;
   hideAlert();
   setAiNextText('下次预计生成：计算中…');
-  await Promise.all([refreshSummary(), refreshHistory()]);
+  await Promise.all([refreshSummary(), refreshHistory(), refreshSessions()]);
+  summaryTimer = setInterval(() => {
+    refreshSummary().catch((err) => console.warn('账户刷新失败', err));
+  }, SUMMARY_REFRESH_MS);
   try {
     await fetchAiInsights();
   } catch (error) {
@@ -216,48 +273,182 @@ async function enterDashboard() {
 
 async function refreshSummary() {
   const data = await request(API.summary, { method: 'GET' });
-  balanceEl.textContent = formatCurrency(data.balance);
-  renderHoldings(data.holdings || {});
+  adminLink.classList.toggle('hidden', data.role !== 'admin');
+  account = { balance: data.balance, positions: data.positions || {}, specs: data.contractSpecs || {} };
+  renderMarginCall(data.marginCall);
+  renderSettlement(data.lastSettlement, data.nextSettlementAt);
+  renderValuation();
+  syncPriceStream();
+}
+
+// Same marking as the server's computeAccount: equity moves against the settlement basis,
+// while the per-holding P&L shown to the trader is measured from the opening average.
+function valueAccount() {
+  let unrealizedPnl = 0;
+  let usedMargin = 0;
+  const holdings = Object.entries(account.positions).map(([symbol, position]) => {
+    const exposure = position.position * position.multiplier;
+    const notional = Math.abs(exposure) * position.markPrice;
+    const cost = Math.abs(exposure) * position.averagePrice;
+    const openPnl = (position.markPrice - position.averagePrice) * exposure;
+    unrealizedPnl += (position.markPrice - position.settlementPrice) * exposure;
+    usedMargin += notional * (account.specs[symbol]?.initialMarginRate ?? 1);
+    return { symbol, ...position, notional, openPnl, openPnlPercent: cost ? (openPnl / cost) * 100 : 0 };
+  });
+  const equity = account.balance + unrealizedPnl;
+  return { holdings, unrealizedPnl, equity, usedMargin, availableFunds: equity - usedMargin };
+}
+
+function setPnl(el, value) {
+  el.classList.toggle('pnl-up', value > 0);
+  el.classList.toggle('pnl-down', value < 0);
+}
+
+function formatSignedPercent(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function renderValuation() {
+  if (!account) return;
+  const valuation = valueAccount();
+  balanceEl.textContent = formatCurrency(account.balance);
+  equityEl.textContent = formatCurrency(valuation.equity);
+  unrealizedEl.textContent = formatCurrency(valuation.unrealizedPnl);
+  setPnl(unrealizedEl, valuation.unrealizedPnl);
+  marginEl.textContent = formatCurrency(valuation.usedMargin);
+  availableEl.textContent = formatCurrency(valuation.availableFunds);
+  renderHoldings(valuation.holdings);
+}
+
+function applyQuote(quote) {
+  const position = account?.positions[quote.symbol];
+  if (!position) return;
+  position.markPrice = Number(quote.price);
+  renderValuation();
+}
+
+// Reconnects only when the set of held symbols changes.
+function syncPriceStream() {
+  const symbols = Object.keys(account.positions).sort().join(',');
+  if (symbols === streamSymbols) return;
+  stopPriceStream();
+  streamSymbols = symbols;
+  if (!symbols) return;
+  priceSource = new EventSource(`${API.stream}?symbols=${encodeURIComponent(symbols)}`);
+  priceSource.addEventListener('tick', (event) => {
+    try {
+      applyQuote(JSON.parse(event.data));
+    } catch (err) {
+      console.warn('行情解析失败', err);
+    }
+  });
+}
+
+function stopPriceStream() {
+  if (priceSource) {
+    priceSource.close();
+    priceSource = null;
+  }
+  streamSymbols = '';
+}
+
+function stopLiveValuation() {
+  clearInterval(summaryTimer);
+  summaryTimer = null;
+  stopPriceStream();
+  account = null;
+}
+
+function renderSettlement(lastSettlement, nextSettlementAt) {
+  if (!settlementHint) return;
+  const next = nextSettlementAt ? new Date(nextSettlementAt).toLocaleString('zh-CN', { hour12: false }) : '-';
+  const last = lastSettlement
+    ? `上次结算 ${lastSettlement.date}，盯市盈亏 ${formatCurrency(lastSettlement.variationMargin)}；`
+    : '';
+  settlementHint.textContent = `${last}下次每日结算：${next}`;
 }
 
 function getMarketMeta(symbol) {
-  return MARKETS[symbol] || { name: symbol, unit: '', currency: 'CNY' };
+  return markets[symbol] || { name: symbol, unit: '', currency: 'CNY' };
+}
+
+async function loadMarkets() {
+  const response = await fetch(API.contracts);
+  const data = await response.json();
+  markets = Object.fromEntries((data.contracts || []).map((contract) => [contract.symbol, contract]));
+  renderMarketCards();
+}
+
+function renderMarketCards() {
+  marketsGrid.innerHTML = '';
+  Object.values(markets)
+    .filter((market) => !market.suspended)
+    .forEach((market) => {
+      const card = document.createElement('a');
+      card.className = `market-card theme-${market.slug}`;
+      card.href = `market.html?symbol=${encodeURIComponent(market.symbol)}`;
+      const info = document.createElement('div');
+      const title = document.createElement('h3');
+      title.textContent = market.name;
+      const summary = document.createElement('p');
+      summary.textContent = market.summary || '';
+      info.append(title, summary);
+      const go = document.createElement('span');
+      go.className = 'go';
+      go.textContent = '进入交易 →';
+      card.append(info, go);
+      marketsGrid.appendChild(card);
+    });
 }
 
 function renderHoldings(holdings) {
   holdingsBody.innerHTML = '';
-  const entries = Object.entries(holdings);
-  if (entries.length === 0) {
+  holdingsTotal.innerHTML = '';
+  if (holdings.length === 0) {
     const row = document.createElement('tr');
     const cell = document.createElement('td');
-    cell.colSpan = 3;
+    cell.colSpan = 7;
     cell.className = 'placeholder';
     cell.textContent = '暂无持仓，前往下方品种页面开始交易。';
     row.appendChild(cell);
     holdingsBody.appendChild(row);
     return;
   }
-  entries
-    .sort(([a], [b]) => a.localeCompare(b))
-    .forEach(([symbol, info]) => {
+  const addCell = (row, text, pnl) => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (pnl !== undefined) setPnl(cell, pnl);
+    row.appendChild(cell);
+  };
+  holdings
+    .sort((a, b) => a.symbol.localeCompare(b.symbol))
+    .forEach((holding) => {
       const row = document.createElement('tr');
-      const meta = getMarketMeta(symbol);
-      const nameCell = document.createElement('td');
-      nameCell.textContent = meta.name;
-      const posCell = document.createElement('td');
-      posCell.textContent = formatNumber(info.position);
-      const avgCell = document.createElement('td');
-      avgCell.textContent = info.position
-        ? `${formatCurrency(info.averagePrice, meta.currency)}${meta.unit ? ` · ${meta.unit}` : ''}`
-        : '-';
-      row.append(nameCell, posCell, avgCell);
+      const meta = getMarketMeta(holding.symbol);
+      addCell(row, meta.name);
+      addCell(row, formatPosition(holding.position));
+      addCell(row, `${formatCurrency(holding.averagePrice, meta.currency)}${meta.unit ? ` · ${meta.unit}` : ''}`);
+      addCell(row, formatCurrency(holding.markPrice, meta.currency));
+      addCell(row, formatCurrency(holding.notional, meta.currency));
+      addCell(row, formatCurrency(holding.openPnl, meta.currency), holding.openPnl);
+      addCell(row, formatSignedPercent(holding.openPnlPercent), holding.openPnl);
       holdingsBody.appendChild(row);
     });
+  const totalPnl = holdings.reduce((sum, holding) => sum + holding.openPnl, 0);
+  const totalRow = document.createElement('tr');
+  addCell(totalRow, '合计');
+  addCell(totalRow, '');
+  addCell(totalRow, '');
+  addCell(totalRow, '');
+  addCell(totalRow, formatCurrency(holdings.reduce((sum, holding) => sum + holding.notional, 0)));
+  addCell(totalRow, formatCurrency(totalPnl), totalPnl);
+  addCell(totalRow, '');
+  holdingsTotal.appendChild(totalRow);
 }
 
 async function refreshHistory() {
-  const data = await request(API.history, { method: 'GET' });
-  const records = (data.history || []).slice(0, 10);
+  const data = await request(`${API.history}?limit=10`, { method: 'GET' });
+  const records = data.history || [];
   historyBody.innerHTML = '';
   if (records.length === 0) {
     const row = document.createElement('tr');
@@ -277,7 +468,7 @@ async function refreshHistory() {
     const meta = getMarketMeta(entry.symbol);
     symbolCell.textContent = meta.name;
     const sideCell = document.createElement('td');
-    sideCell.textContent = entry.type === 'buy' ? '买入' : '卖出';
+    sideCell.textContent = formatSide(entry);
     const qtyCell = document.createElement('td');
     qtyCell.textContent = formatNumber(entry.quantity);
     const priceCell = document.createElement('td');
@@ -289,6 +480,94 @@ async function refreshHistory() {
   });
 }
 
+function describeDevice(userAgent) {
+  if (!userAgent) return '未知设备';
+  const browser = /Edg\//.test(userAgent)
+    ? 'Edge'
+    : /Chrome\//.test(userAgent)
+    ? 'Chrome'
+    : /Firefox\//.test(userAgent)
+    ? 'Firefox'
+    : /Safari\//.test(userAgent)
+    ? 'Safari'
+    : '浏览器';
+  const os = /Windows/.test(userAgent)
+    ? 'Windows'
+    : /Android/.test(userAgent)
+    ? 'Android'
+    : /iPhone|iPad/.test(userAgent)
+    ? 'iOS'
+    : /Mac OS X/.test(userAgent)
+    ? 'macOS'
+    : /Linux/.test(userAgent)
+    ? 'Linux'
+    : '';
+  return os ? `${browser} · ${os}` : browser;
+}
+
+function renderMaxSessions(current, limit) {
+  maxSessionsSelect.innerHTML = '';
+  for (let value = 1; value <= limit; value += 1) {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = String(value);
+    option.selected = value === current;
+    maxSessionsSelect.appendChild(option);
+  }
+}
+
+function renderSessions(sessions) {
+  sessionsBody.innerHTML = '';
+  sessions.forEach((session) => {
+    const row = document.createElement('tr');
+    const deviceCell = document.createElement('td');
+    deviceCell.textContent = `${describeDevice(session.userAgent)}${session.current ? '（当前）' : ''}`;
+    const ipCell = document.createElement('td');
+    ipCell.textContent = session.ip || '-';
+    const createdCell = document.createElement('td');
+    createdCell.textContent = new Date(session.createdAt).toLocaleString('zh-CN');
+    const seenCell = document.createElement('td');
+    seenCell.textContent = new Date(session.lastSeenAt).toLocaleString('zh-CN');
+    const actionCell = document.createElement('td');
+    if (!session.current) {
+      const revokeBtn = document.createElement('button');
+      revokeBtn.className = 'ghost-btn small-btn';
+      revokeBtn.textContent = '下线';
+      revokeBtn.addEventListener('click', () => revokeSession(session.id));
+      actionCell.appendChild(revokeBtn);
+    }
+    row.append(deviceCell, ipCell, createdCell, seenCell, actionCell);
+    sessionsBody.appendChild(row);
+  });
+}
+
+async function refreshSessions() {
+  const data = await request(API.sessions, { method: 'GET' });
+  renderMaxSessions(data.maxSessions, data.maxSessionsLimit);
+  renderSessions(data.sessions || []);
+}
+
+async function revokeSession(sessionId) {
+  try {
+    await request(`${API.sessions}/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+    await refreshSessions();
+  } catch (error) {
+    showAlert(error.message);
+  }
+}
+
+maxSessionsSelect.addEventListener('change', async () => {
+  try {
+    await request(API.settings, {
+      method: 'PUT',
+      body: JSON.stringify({ maxSessions: Number(maxSessionsSelect.value) })
+    });
+    await refreshSessions();
+  } catch (error) {
+    showAlert(error.message);
+  }
+});
+
 function formatAiTime(isoString) {
   if (!isoString) return '-';
   const date = new Date(isoString);
@@ -296,6 +575,12 @@ function formatAiTime(isoString) {
   return date.toLocaleString('zh-CN', { hour12: false });
 }
 
+function signalClass(bias) {
+  if (bias > 0.1) return 'ai-up';
+  if (bias < -0.1) return 'ai-down';
+  return '';
+}
+
 function renderAiInsights(insights = []) {
   aiContent.innerHTML = '';
   if (!insights.length) {
@@ -317,10 +602,16 @@ function renderAiInsights(insights = []) {
     title.textContent = entry.headline;
 
     header.append(badge, title);
+    if (entry.unread) {
+      const unread = document.createElement('span');
+      unread.className = 'ai-unread-badge';
+      unread.textContent = '未读';
+      header.appendChild(unread);
+    }
 
     const time = document.createElement('p');
     time.className = 'ai-time';
-    time.textContent = `发布时间：${formatAiTime(entry.issuedAt)}`;
+    time.textContent = `发布时间：${formatAiTime(entry.issuedAt)}${entry.provider === 'openai' ? ' · 大模型生成' : ''}`;
 
     const impact = document.createElement('p');
     impact.className = 'ai-impact';
@@ -333,7 +624,16 @@ function renderAiInsights(insights = []) {
     suggestion.className = 'ai-suggestion';
     suggestion.textContent = entry.suggestion;
 
-    item.append(header, time, impact, narrative, suggestion);
+    const signals = document.createElement('ul');
+    signals.className = 'ai-signals';
+    (entry.signals || []).forEach((signal) => {
+      const chip = document.createElement('li');
+      chip.className = signalClass(signal.bias);
+      chip.textContent = signal.text;
+      signals.appendChild(chip);
+    });
+
+    item.append(header, time, impact, narrative, signals, suggestion);
     aiContent.appendChild(item);
   });
 }
@@ -378,19 +678,79 @@ function scheduleAiAutoRefresh(nextRefreshAt) {
   }, delay);
 }
 
+function renderAiSubscriptions(subscriptions) {
+  aiSubscriptionsEl.innerHTML = '';
+  Object.values(markets)
+    .filter((market) => !market.suspended)
+    .forEach((market) => {
+      const label = document.createElement('label');
+      label.className = 'ai-subscription';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = market.symbol;
+      checkbox.checked = !subscriptions || subscriptions.includes(market.symbol);
+      label.append(checkbox, market.name);
+      aiSubscriptionsEl.appendChild(label);
+    });
+}
+
 async function fetchAiInsights() {
-  const markets = Object.keys(MARKETS);
-  const target = markets[Math.floor(Math.random() * markets.length)] || 'HOG';
-  const data = await request(`${API.ai}?symbol=${encodeURIComponent(target)}`, {
-    method: 'GET'
-  });
-  renderAiInsights(data.insights || []);
+  const data = await request(API.aiFeed, { method: 'GET' });
+  aiFeed = data;
+  renderAiSubscriptions(data.subscriptions);
+  renderAiInsights(
+    (data.items || []).map((item) => ({
+      ...item.insight,
+      headline: `${markets[item.symbol]?.name || item.symbol}｜${item.insight.headline}`,
+      unread: item.unread > 0
+    }))
+  );
+  aiUnreadEl.textContent = data.unread ? `${data.unread} 条未读` : '自动生成';
+  aiMarkReadBtn.disabled = !data.unread;
   updateAiNext(data.nextRefreshAt);
   scheduleAiAutoRefresh(data.nextRefreshAt);
   return data;
 }
 
+aiSubscriptionsEl.addEventListener('change', async () => {
+  const checked = Array.from(aiSubscriptionsEl.querySelectorAll('input:checked')).map((input) => input.value);
+  const total = aiSubscriptionsEl.querySelectorAll('input').length;
+  try {
+    await request(API.aiSubscriptions, {
+      method: 'PUT',
+      body: JSON.stringify({ symbols: checked.length === total ? null : checked })
+    });
+    await fetchAiInsights();
+  } catch (error) {
+    showAlert(error.message);
+  }
+});
+
+aiMarkReadBtn.addEventListener('click', async () => {
+  const symbols = aiFeed.items.filter((item) => item.unread).map((item) => item.symbol);
+  if (!symbols.length) return;
+  try {
+    await request(API.aiRead, { method: 'POST', body: JSON.stringify({ symbols }) });
+    await fetchAiInsights();
+  } catch (error) {
+    showAlert(error.message);
+  }
+});
+
+document.querySelectorAll('[data-export]').forEach((button) => {
+  button.addEventListener('click', () => {
+    downloadExport(button.dataset.export, { token, onUnauthorized: handleUnauthorized }).catch((err) =>
+      showAlert(err.message)
+    );
+  });
+});
+
 window.addEventListener('DOMContentLoaded', async () => {
+  try {
+    await loadMarkets();
+  } catch (err) {
+    console.warn('加载合约列表失败', err);
+  }
   if (restoreSession()) {
     try {
       await enterDashboard();
@@ -0,0 +1,25 @@
+const EXPORT_API = '/api/export';
+
+// Exports need the bearer token, so they are fetched here and handed to the browser as a blob.
+export async function downloadExport(file, { token, params = new URLSearchParams(), onUnauthorized } = {}) {
+  const query = params.toString();
+  const response = await fetch(`${EXPORT_API}/${file}${query ? `?${query}` : ''}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401 && onUnauthorized) {
+      onUnauthorized(data.error || '登录状态已失效，请重新登录。');
+    }
+    throw new Error(data.error || '导出失败');
+  }
+  const blob = await response.blob();
+  const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = match ? match[1] : file;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
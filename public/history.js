@@ -0,0 +1,249 @@
+import { downloadExport } from './export-client.js';
+
+const API = {
+  history: '/api/history',
+  contracts: '/api/contracts'
+};
+
+const SESSION_KEY = 'futures-session';
+const PAGE_SIZE = 50;
+const FILTER_FIELDS = ['symbol', 'from', 'to', 'side', 'pnl', 'minPnl', 'maxPnl', 'sort'];
+
+let token = null;
+let markets = {};
+let nextCursor = null;
+let loading = false;
+let generation = 0;
+let loaded = 0;
+
+const historyApp = document.getElementById('history-app');
+const userDisplay = document.getElementById('user-display');
+const sessionAlert = document.getElementById('session-alert');
+const sessionAlertText = document.getElementById('session-alert-text');
+const sessionAlertClose = document.getElementById('session-alert-close');
+const filterForm = document.getElementById('filter-form');
+const filterSymbol = document.getElementById('filter-symbol');
+const filterMessage = document.getElementById('filter-message');
+const historyBody = document.getElementById('history-body');
+const sentinel = document.getElementById('history-sentinel');
+
+function formatCurrency(value, currency = 'CNY') {
+  return Number(value || 0).toLocaleString('zh-CN', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: 2
+  });
+}
+
+function formatNumber(value) {
+  return Number(value || 0).toLocaleString('zh-CN');
+}
+
+function formatSide(entry) {
+  const side = entry.type === 'buy' ? '买入' : '卖出';
+  const offsets = { open: '开仓', close: '平仓', reverse: '反手' };
+  if (entry.liquidation) {
+    return `强平${side}`;
+  }
+  return `${side}${offsets[entry.offset] || ''}`;
+}
+
+function setMessage(el, message, isError = false) {
+  el.textContent = message;
+  el.style.color = isError ? '#ef4444' : '#94a3b8';
+}
+
+function showAlert(message) {
+  sessionAlertText.textContent = message;
+  sessionAlert.classList.remove('hidden');
+}
+
+sessionAlertClose.addEventListener('click', () => sessionAlert.classList.add('hidden'));
+
+function handleUnauthorized() {
+  sessionStorage.removeItem(SESSION_KEY);
+  window.location.href = 'index.html';
+}
+
+async function request(url) {
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    handleUnauthorized();
+    throw new Error(data.error || '未授权');
+  }
+  if (!response.ok) {
+    throw new Error(data.error || '请求失败');
+  }
+  return data;
+}
+
+function readFilters() {
+  const values = Object.fromEntries(new FormData(filterForm).entries());
+  return Object.fromEntries(FILTER_FIELDS.map((field) => [field, String(values[field] || '').trim()]));
+}
+
+function restoreFilters() {
+  const params = new URLSearchParams(window.location.search);
+  FILTER_FIELDS.forEach((field) => {
+    if (params.has(field)) {
+      filterForm.elements[field].value = params.get(field);
+    }
+  });
+}
+
+// Date inputs are local calendar days; the API takes millisecond bounds, inclusive of the end day.
+function historyQuery(filters) {
+  const params = new URLSearchParams();
+  ['symbol', 'side', 'pnl', 'minPnl', 'maxPnl'].forEach((field) => {
+    if (filters[field]) params.set(field, filters[field]);
+  });
+  if (filters.from) params.set('from', String(new Date(`${filters.from}T00:00:00`).getTime()));
+  if (filters.to) params.set('to', String(new Date(`${filters.to}T23:59:59.999`).getTime()));
+  const [sort, order] = (filters.sort || 'time:desc').split(':');
+  params.set('sort', sort);
+  params.set('order', order);
+  return params;
+}
+
+function placeholderRow(text) {
+  historyBody.innerHTML = '';
+  const row = document.createElement('tr');
+  const cell = document.createElement('td');
+  cell.colSpan = 7;
+  cell.className = 'placeholder';
+  cell.textContent = text;
+  row.appendChild(cell);
+  historyBody.appendChild(row);
+}
+
+function appendEntries(entries) {
+  entries.forEach((entry) => {
+    const meta = markets[entry.symbol] || { name: entry.symbol, currency: 'CNY' };
+    const closing = entry.offset === 'close' || entry.offset === 'reverse';
+    const row = document.createElement('tr');
+    [
+      new Date(entry.timestamp).toLocaleString('zh-CN', { hour12: false }),
+      meta.name,
+      formatSide(entry),
+      formatNumber(entry.quantity),
+      formatCurrency(entry.price, meta.currency),
+      closing ? formatCurrency(entry.realizedPnl, meta.currency) : '-',
+      formatCurrency(entry.balanceAfter)
+    ].forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === 5 && closing && entry.realizedPnl) {
+        cell.className = entry.realizedPnl > 0 ? 'pnl-up' : 'pnl-down';
+      }
+      row.appendChild(cell);
+    });
+    historyBody.appendChild(row);
+  });
+}
+
+async function loadPage() {
+  if (loading) return;
+  const current = generation;
+  loading = true;
+  sentinel.textContent = '加载中...';
+  try {
+    const params = historyQuery(readFilters());
+    params.set('limit', String(PAGE_SIZE));
+    if (nextCursor) params.set('cursor', nextCursor);
+    const data = await request(`${API.history}?${params}`);
+    if (current !== generation) return;
+    if (!loaded) historyBody.innerHTML = '';
+    appendEntries(data.history || []);
+    loaded += (data.history || []).length;
+    nextCursor = data.nextCursor;
+    if (!loaded) {
+      placeholderRow('没有符合条件的交易。');
+    }
+    sentinel.textContent = nextCursor ? `已加载 ${loaded} / ${data.total} 条` : `共 ${data.total} 条`;
+  } catch (err) {
+    if (current === generation) {
+      nextCursor = null;
+      sentinel.textContent = '';
+      setMessage(filterMessage, err.message, true);
+    }
+  } finally {
+    if (current === generation) loading = false;
+  }
+  if (current === generation && nextCursor && sentinelVisible()) {
+    loadPage();
+  }
+}
+
+// The observer only fires on changes, so a short page that leaves the sentinel on screen
+// has to request the next one itself.
+function sentinelVisible() {
+  return sentinel.getBoundingClientRect().top < window.innerHeight;
+}
+
+function reload() {
+  generation += 1;
+  loading = false;
+  nextCursor = null;
+  loaded = 0;
+  setMessage(filterMessage, '');
+  placeholderRow('加载中...');
+  const filters = readFilters();
+  const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+  window.history.replaceState(null, '', params.toString() ? `?${params}` : window.location.pathname);
+  return loadPage();
+}
+
+async function loadMarkets() {
+  const response = await fetch(API.contracts);
+  const data = await response.json().catch(() => ({}));
+  markets = Object.fromEntries((data.contracts || []).map((contract) => [contract.symbol, contract]));
+  Object.values(markets).forEach((market) => {
+    const option = document.createElement('option');
+    option.value = market.symbol;
+    option.textContent = market.name;
+    filterSymbol.appendChild(option);
+  });
+}
+
+filterForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  reload();
+});
+
+// The form's reset clears the fields only after this handler runs.
+filterForm.addEventListener('reset', () => {
+  setTimeout(reload);
+});
+
+// Exports use the filters currently in the form, without pagination.
+document.querySelectorAll('[data-export]').forEach((button) => {
+  button.addEventListener('click', () => {
+    setMessage(filterMessage, '');
+    downloadExport(button.dataset.export, {
+      token,
+      params: historyQuery(readFilters()),
+      onUnauthorized: handleUnauthorized
+    }).catch((err) => setMessage(filterMessage, err.message, true));
+  });
+});
+
+new IntersectionObserver((entries) => {
+  if (entries.some((entry) => entry.isIntersecting) && nextCursor && !loading) {
+    loadPage();
+  }
+}).observe(sentinel);
+
+window.addEventListener('DOMContentLoaded', async () => {
+  const stored = JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+  if (!stored || !stored.token) {
+    window.location.href = 'index.html';
+    return;
+  }
+  token = stored.token;
+  userDisplay.textContent = stored.username;
+  historyApp.classList.remove('hidden');
+  await loadMarkets().catch(() => {});
+  restoreFilters();
+  reload();
+});
@@ -0,0 +1,131 @@
+// Technical indicators shared by the market page (window.Indicators) and the server (require).
+// Every function returns arrays aligned with the input; warm-up positions are null.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Indicators = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  function round(value) {
+    return value === null || Number.isNaN(value) ? null : Number(value.toFixed(4));
+  }
+
+  function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    values.forEach((value, index) => {
+      sum += value;
+      if (index >= period) sum -= values[index - period];
+      if (index >= period - 1) result[index] = round(sum / period);
+    });
+    return result;
+  }
+
+  // Seeded with the simple average of the first period values.
+  function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    if (values.length < period) return result;
+    const alpha = 2 / (period + 1);
+    let current = values.slice(0, period).reduce((sum, value) => sum + value, 0) / period;
+    result[period - 1] = round(current);
+    for (let index = period; index < values.length; index += 1) {
+      current = values[index] * alpha + current * (1 - alpha);
+      result[index] = round(current);
+    }
+    return result;
+  }
+
+  function bollinger(values, period = 20, multiplier = 2) {
+    const middle = sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+    middle.forEach((mean, index) => {
+      if (mean === null) return;
+      const window = values.slice(index - period + 1, index + 1);
+      const deviation = Math.sqrt(window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / period);
+      upper[index] = round(mean + multiplier * deviation);
+      lower[index] = round(mean - multiplier * deviation);
+    });
+    return { middle, upper, lower };
+  }
+
+  // DIF/DEA/histogram as quoted on Chinese terminals (histogram = 2 × (DIF − DEA)).
+  function macd(values, fast = 12, slow = 26, signal = 9) {
+    const fastLine = ema(values, fast);
+    const slowLine = ema(values, slow);
+    const dif = values.map((_, index) =>
+      fastLine[index] === null || slowLine[index] === null ? null : round(fastLine[index] - slowLine[index])
+    );
+    const start = dif.findIndex((value) => value !== null);
+    const dea = new Array(values.length).fill(null);
+    if (start >= 0) {
+      ema(dif.slice(start), signal).forEach((value, offset) => {
+        dea[start + offset] = value;
+      });
+    }
+    const histogram = dif.map((value, index) => (value === null || dea[index] === null ? null : round(2 * (value - dea[index]))));
+    return { dif, dea, histogram };
+  }
+
+  // Wilder's smoothing.
+  function rsi(values, period = 14) {
+    const result = new Array(values.length).fill(null);
+    if (values.length <= period) return result;
+    let gain = 0;
+    let loss = 0;
+    for (let index = 1; index <= period; index += 1) {
+      const change = values[index] - values[index - 1];
+      gain += Math.max(change, 0);
+      loss += Math.max(-change, 0);
+    }
+    gain /= period;
+    loss /= period;
+    result[period] = round(loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    for (let index = period + 1; index < values.length; index += 1) {
+      const change = values[index] - values[index - 1];
+      gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+      loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+      result[index] = round(loss === 0 ? 100 : 100 - 100 / (1 + gain / loss));
+    }
+    return result;
+  }
+
+  // K and D start at 50 and are smoothed with 1/kPeriod and 1/dPeriod weights.
+  function kdj(highs, lows, closes, period = 9, kPeriod = 3, dPeriod = 3) {
+    const k = new Array(closes.length).fill(null);
+    const d = new Array(closes.length).fill(null);
+    const j = new Array(closes.length).fill(null);
+    let prevK = 50;
+    let prevD = 50;
+    for (let index = period - 1; index < closes.length; index += 1) {
+      const high = Math.max(...highs.slice(index - period + 1, index + 1));
+      const low = Math.min(...lows.slice(index - period + 1, index + 1));
+      const rsv = high === low ? 50 : ((closes[index] - low) / (high - low)) * 100;
+      prevK = ((kPeriod - 1) * prevK + rsv) / kPeriod;
+      prevD = ((dPeriod - 1) * prevD + prevK) / dPeriod;
+      k[index] = round(prevK);
+      d[index] = round(prevD);
+      j[index] = round(3 * prevK - 2 * prevD);
+    }
+    return { k, d, j };
+  }
+
+  function fromCandles(candles) {
+    return {
+      closes: candles.map((candle) => candle.close),
+      highs: candles.map((candle) => candle.high),
+      lows: candles.map((candle) => candle.low)
+    };
+  }
+
+  return {
+    bollinger,
+    ema,
+    fromCandles,
+    kdj,
+    macd,
+    rsi,
+    sma
+  };
+});
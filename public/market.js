@@ -1,42 +1,64 @@
+import { downloadExport } from './export-client.js';
+
 const API = {
   register: '/api/register',
   login: '/api/login',
   logout: '/api/logout',
   summary: '/api/summary',
   trade: '/api/trade',
+  orders: '/api/orders',
   history: '/api/history',
-  ai: '/api/ai-insights'
+  stream: '/api/stream',
+  contracts: '/api/contracts',
+  marketStatus: '/api/market-status',
+  candles: '/api/candles',
+  ai: '/api/ai-insights',
+  news: '/api/news',
+  scorecard: '/api/ai-scorecard',
+  aiRead: '/api/ai-insights/read'
 };
 
 const SESSION_KEY = 'futures-session';
+const CST_OFFSET_MS = 8 * 60 * 60 * 1000;
+const INDICATOR_KEY = 'futures-indicators';
+const HISTORY_LIMIT = 50;
+const OSCILLATOR_DEFAULTS = { macd: '12,26,9', rsi: '14', kdj: '9,3,3' };
+const OVERLAY_COLORS = ['#f59e0b', '#6366f1', '#ec4899', '#14b8a6', '#8b5cf6', '#0ea5e9'];
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
 
-const body = document.body;
-const {
-  symbol: symbolRaw,
-  name: marketName,
-  unit: marketUnit,
-  description: marketDescription,
-  startPrice: startPriceRaw,
-  minPrice: minPriceRaw,
-  volatility: volatilityRaw
-} = body.dataset;
-
-const symbol = (symbolRaw || 'HOG').toUpperCase();
-const basePrice = Number(startPriceRaw) || 100;
-const minPrice = Number(minPriceRaw) || 10;
-const volatility = Number(volatilityRaw) || 5;
+const symbol = (new URLSearchParams(window.location.search).get('symbol') || 'HOG').toUpperCase();
+
+let market = { symbol, name: symbol, unit: '', currency: 'CNY' };
 
 let token = null;
 let username = null;
 let chart = null;
-let priceSeries = [];
-let timestamps = [];
-let currentPrice = basePrice;
-let previousPrice = basePrice;
-let priceTimer = null;
+let indicatorChart = null;
+let candles = [];
+let hasMoreCandles = false;
+let chartType = 'line';
+let chartInterval = '1m';
+let candlesLoading = false;
+let currentPrice = null;
+let lastQuoteSeq = null;
+let priceSource = null;
 let aiTimer = null;
+let newsTimer = null;
 let aiRefreshing = false;
 let currentHolding = { position: 0, averagePrice: 0 };
+let contractSpec = { multiplier: 1 };
+let openOrders = [];
+let ordersRefreshing = false;
+let sessionStatus = null;
+let sessionTimer = null;
+let statusRefreshing = false;
+let serverClockOffset = 0;
 
 const authShell = document.getElementById('auth-shell');
 const marketApp = document.getElementById('market-app');
@@ -51,30 +73,137 @@ const balanceEl = document.getElementById('account-balance');
 const positionEl = document.getElementById('account-position');
 const averageEl = document.getElementById('account-average');
 const unrealizedEl = document.getElementById('unrealized-pnl');
+const equityEl = document.getElementById('account-equity');
+const marginEl = document.getElementById('account-margin');
+const availableEl = document.getElementById('account-available');
+const marginCallBanner = document.getElementById('margin-call-banner');
+const contractSpecEl = document.getElementById('contract-spec');
 const historyBody = document.getElementById('history-body');
+const historyLink = document.getElementById('history-link');
 const quantityInput = document.getElementById('trade-quantity');
 const buyBtn = document.getElementById('buy-btn');
 const sellBtn = document.getElementById('sell-btn');
+const orderTypeSelect = document.getElementById('order-type');
+const stopPriceInput = document.getElementById('order-stop-price');
+const limitPriceInput = document.getElementById('order-limit-price');
+const tifSelect = document.getElementById('order-tif');
+const takeProfitInput = document.getElementById('take-profit');
+const stopLossInput = document.getElementById('stop-loss');
+const ordersBody = document.getElementById('orders-body');
 const aiContent = document.getElementById('ai-content');
 const aiNextEl = document.getElementById('ai-next');
+const newsList = document.getElementById('ai-news');
+const scoreHitRateEl = document.getElementById('score-hit-rate');
+const scoreCountEl = document.getElementById('score-count');
+const scoreMoveEl = document.getElementById('score-move');
+const scoreConfidenceEl = document.getElementById('score-confidence');
+const calibrationBody = document.getElementById('calibration-body');
+const scorecardBody = document.getElementById('scorecard-body');
 const currentPriceEl = document.getElementById('current-price');
 const priceChangeEl = document.getElementById('price-change');
 const marketTitle = document.getElementById('market-title');
 const marketDescriptionEl = document.getElementById('market-description');
+const marketTagline = document.getElementById('market-tagline');
+const marketHint = document.getElementById('market-hint');
 const sessionAlert = document.getElementById('session-alert');
 const sessionAlertText = document.getElementById('session-alert-text');
 const sessionAlertClose = document.getElementById('session-alert-close');
 const kickoutBanner = document.getElementById('kickout-banner');
+const chartTypeButtons = document.querySelectorAll('#chart-type button');
+const chartIntervalSelect = document.getElementById('chart-interval');
+const loadEarlierBtn = document.getElementById('load-earlier');
+const indicatorPanel = document.getElementById('indicator-panel');
+const oscillatorSelect = document.getElementById('oscillator');
+const oscillatorParamsInput = document.getElementById('oscillator-params');
+const indicatorPane = document.getElementById('indicator-pane');
+const marketSessionEl = document.getElementById('market-session');
+const sessionHoursEl = document.getElementById('session-hours');
+
+async function loadContract() {
+  const response = await fetch(API.contracts);
+  const data = await response.json();
+  const contract = (data.contracts || []).find((item) => item.symbol === symbol);
+  if (!contract) {
+    throw new Error(`未知合约：${symbol}`);
+  }
+  market = contract;
+}
 
 function setupCopy() {
-  marketTitle.textContent = `${marketName || symbol} (${marketUnit || ''})`;
-  marketDescriptionEl.textContent = marketDescription || '';
+  document.title = `${market.name} - 期货买卖模拟器`;
+  document.body.classList.add(`theme-${market.slug}`);
+  marketTitle.textContent = `${market.name} (${market.unit})`;
+  marketDescriptionEl.textContent = market.description || '';
+  marketTagline.textContent = market.tagline || marketTagline.textContent;
+  marketHint.textContent = market.hint || marketHint.textContent;
+  quantityInput.value = market.defaultQuantity || 1;
+  historyLink.href = `history.html?symbol=${encodeURIComponent(symbol)}`;
+  sessionHoursEl.textContent = market.sessions?.length
+    ? `交易时段（北京时间）：${market.sessions.map((session) => `${session.open}-${session.close}`).join('、')}`
+    : '';
+  if (market.suspended) {
+    showAlert('该合约已下架，暂停交易。');
+  } else if (market.halt) {
+    showAlert(market.halt.reason ? `该合约已暂停交易：${market.halt.reason}` : '该合约已暂停交易。');
+  }
+}
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(totalSeconds / 86400);
+  const clock = [Math.floor((totalSeconds % 86400) / 3600), Math.floor((totalSeconds % 3600) / 60), totalSeconds % 60]
+    .map((value) => String(value).padStart(2, '0'))
+    .join(':');
+  return days ? `${days}天 ${clock}` : clock;
+}
+
+async function refreshMarketStatus() {
+  if (statusRefreshing) return;
+  statusRefreshing = true;
+  try {
+    const response = await fetch(`${API.marketStatus}?symbols=${encodeURIComponent(symbol)}`);
+    const data = await response.json();
+    serverClockOffset = Date.parse(data.serverTime) - Date.now();
+    sessionStatus = data.statuses?.[symbol] || null;
+    renderSessionStatus();
+  } finally {
+    statusRefreshing = false;
+  }
+}
+
+function renderSessionStatus() {
+  if (!sessionStatus) return;
+  const { open, night, alwaysOpen, nextOpen, nextClose, restriction } = sessionStatus;
+  const target = open ? nextClose : nextOpen;
+  const remaining = target ? Date.parse(target) - (Date.now() + serverClockOffset) : null;
+  if (remaining !== null && remaining <= 0) {
+    refreshMarketStatus().catch((err) => console.warn('刷新交易状态失败', err));
+    return;
+  }
+  let text;
+  if (open && restriction) {
+    text = restriction;
+  } else if (alwaysOpen) {
+    text = '交易中 · 未启用交易日历';
+  } else if (open) {
+    text = `交易中${night ? '（夜盘）' : ''} · 距本节收盘 ${formatCountdown(remaining)}`;
+  } else {
+    text = remaining === null ? '休市' : `休市 · 距下次开盘 ${formatCountdown(remaining)}`;
+  }
+  marketSessionEl.textContent = text;
+  marketSessionEl.classList.toggle('closed', !open || Boolean(restriction));
+}
+
+function startSessionClock() {
+  clearInterval(sessionTimer);
+  sessionTimer = setInterval(renderSessionStatus, 1000);
+  refreshMarketStatus().catch((err) => console.warn('获取交易状态失败', err));
 }
 
 function formatCurrency(value) {
   return Number(value || 0).toLocaleString('zh-CN', {
     style: 'currency',
-    currency: marketUnit && marketUnit.includes('美元') ? 'USD' : 'CNY',
+    currency: market.currency || 'CNY',
     minimumFractionDigits: 2
   });
 }
@@ -83,6 +212,36 @@ function formatNumber(value) {
   return Number(value || 0).toLocaleString('zh-CN');
 }
 
+function formatPosition(position) {
+  const value = Number(position) || 0;
+  if (!value) return '0';
+  return `${value > 0 ? '多' : '空'} ${formatNumber(Math.abs(value))}`;
+}
+
+function formatSide(entry) {
+  const side = entry.type === 'buy' ? '买入' : '卖出';
+  const offsets = { open: '开仓', close: '平仓', reverse: '反手' };
+  if (entry.liquidation) {
+    return `强平${side}`;
+  }
+  return `${side}${offsets[entry.offset] || ''}`;
+}
+
+function renderMarginCall(marginCall) {
+  if (!marginCallBanner) return;
+  if (!marginCall) {
+    marginCallBanner.classList.add('hidden');
+    marginCallBanner.textContent = '';
+    return;
+  }
+  marginCallBanner.textContent = `追加保证金通知：账户权益 ${formatCurrency(marginCall.equity)} 已低于维持保证金 ${formatCurrency(
+    marginCall.maintenanceMargin
+  )}，需补足 ${formatCurrency(marginCall.shortfall)}。请在 ${new Date(marginCall.deadline).toLocaleString('zh-CN', {
+    hour12: false
+  })} 前减仓或补充资金，否则系统将强行平仓。`;
+  marginCallBanner.classList.remove('hidden');
+}
+
 function setMessage(el, message, isError = false) {
   if (!el) return;
   el.textContent = message;
@@ -248,31 +407,159 @@ logoutBtn.addEventListener('click', async () => {
 
 buyBtn.addEventListener('click', () => submitTrade('buy'));
 sellBtn.addEventListener('click', () => submitTrade('sell'));
+orderTypeSelect.addEventListener('change', syncOrderInputs);
+
+function syncOrderInputs() {
+  const orderType = orderTypeSelect.value;
+  stopPriceInput.classList.toggle('hidden', orderType === 'market' || orderType === 'limit');
+  limitPriceInput.classList.toggle('hidden', orderType === 'market' || orderType === 'stop');
+  tifSelect.classList.toggle('hidden', orderType === 'market');
+  const iocOption = tifSelect.querySelector('option[value="IOC"]');
+  iocOption.disabled = orderType !== 'limit';
+  if (iocOption.disabled && tifSelect.value === 'IOC') {
+    tifSelect.value = 'GTC';
+  }
+}
 
 async function submitTrade(type) {
   const quantity = Number(quantityInput.value || 0);
-  if (!quantity || quantity <= 0) {
-    showAlert('请输入正确的数量。');
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    showAlert('请输入正确的手数（正整数）。');
     return;
   }
+  const orderType = orderTypeSelect.value;
+  const bracket = {
+    takeProfit: takeProfitInput.value ? Number(takeProfitInput.value) : null,
+    stopLoss: stopLossInput.value ? Number(stopLossInput.value) : null
+  };
   try {
-    const payload = {
-      type,
-      quantity,
-      price: Number(currentPrice.toFixed(2)),
-      symbol
-    };
-    await request(API.trade, {
-      method: 'POST',
-      body: JSON.stringify(payload)
-    });
+    if (orderType === 'market') {
+      const payload = {
+        type,
+        quantity,
+        symbol,
+        ...bracket
+      };
+      await request(API.trade, {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+    } else {
+      const payload = {
+        symbol,
+        side: type,
+        orderType,
+        quantity,
+        limitPrice: Number(limitPriceInput.value) || null,
+        stopPrice: Number(stopPriceInput.value) || null,
+        timeInForce: tifSelect.value,
+        ...bracket
+      };
+      const data = await request(API.orders, {
+        method: 'POST',
+        body: JSON.stringify(payload)
+      });
+      if (data.status !== 'open' && data.status !== 'filled' && data.reason) {
+        showAlert(data.reason);
+      }
+    }
+    takeProfitInput.value = '';
+    stopLossInput.value = '';
     await refreshSummary();
     await refreshHistory();
+    await refreshOrders();
+  } catch (err) {
+    showAlert(err.message);
+  }
+}
+
+function describeOrderPrice(order) {
+  if (order.orderType === 'limit') {
+    return `限 ${order.limitPrice}`;
+  }
+  if (order.orderType === 'stop') {
+    return `触 ${order.stopPrice}`;
+  }
+  return `触 ${order.stopPrice} / 限 ${order.limitPrice}`;
+}
+
+function renderOrders(orders) {
+  openOrders = orders;
+  ordersBody.innerHTML = '';
+  if (orders.length === 0) {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 6;
+    cell.className = 'placeholder';
+    cell.textContent = '暂无委托';
+    row.appendChild(cell);
+    ordersBody.appendChild(row);
+    return;
+  }
+  const typeLabels = { limit: '限价', stop: '止损', stop_limit: '止损限价' };
+  const tifLabels = { GTC: '撤销前有效', DAY: '当日有效', IOC: 'IOC' };
+  orders.forEach((order) => {
+    const row = document.createElement('tr');
+    const sideCell = document.createElement('td');
+    sideCell.textContent = order.side === 'buy' ? '买入' : '卖出';
+    const typeCell = document.createElement('td');
+    const typeLabel = order.reduceOnly
+      ? `${order.orderType === 'limit' ? '止盈' : '止损'}（OCO）`
+      : typeLabels[order.orderType] || order.orderType;
+    const bracketLabel = order.bracket ? ' · 附止盈止损' : '';
+    typeCell.textContent = `${typeLabel}${bracketLabel}${order.status === 'triggered' ? '（已触发）' : ''}`;
+    const qtyCell = document.createElement('td');
+    qtyCell.textContent = formatNumber(order.quantity);
+    const priceCell = document.createElement('td');
+    priceCell.textContent = describeOrderPrice(order);
+    const tifCell = document.createElement('td');
+    tifCell.textContent = tifLabels[order.timeInForce] || order.timeInForce;
+    const actionCell = document.createElement('td');
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'ghost-btn small-btn';
+    cancelBtn.textContent = '撤单';
+    cancelBtn.addEventListener('click', () => cancelOrder(order.id));
+    actionCell.appendChild(cancelBtn);
+    row.append(sideCell, typeCell, qtyCell, priceCell, tifCell, actionCell);
+    ordersBody.appendChild(row);
+  });
+}
+
+async function refreshOrders() {
+  const data = await request(`${API.orders}?symbol=${encodeURIComponent(symbol)}`, { method: 'GET' });
+  renderOrders(data.orders || []);
+}
+
+async function cancelOrder(orderId) {
+  try {
+    await request(`${API.orders}/${encodeURIComponent(orderId)}`, { method: 'DELETE' });
+    await refreshOrders();
   } catch (err) {
     showAlert(err.message);
   }
 }
 
+function orderMayHaveFilled(price) {
+  return openOrders.some((order) => {
+    if (order.status === 'open' && order.orderType !== 'limit') {
+      return order.side === 'buy' ? price >= order.stopPrice : price <= order.stopPrice;
+    }
+    return order.side === 'buy' ? price <= order.limitPrice : price >= order.limitPrice;
+  });
+}
+
+async function syncAfterFills() {
+  if (ordersRefreshing) return;
+  ordersRefreshing = true;
+  try {
+    await Promise.all([refreshOrders(), refreshSummary(), refreshHistory()]);
+  } catch (err) {
+    console.warn('委托状态刷新失败', err);
+  } finally {
+    ordersRefreshing = false;
+  }
+}
+
 async function enterMarket() {
   authShell.classList.add('hidden');
   marketApp.classList.remove('hidden');
@@ -283,29 +570,49 @@ async function enterMarket() {
   startPriceStream();
   stopAiAutoRefresh();
   setAiNextText('下次预计生成：计算中…');
-  await Promise.all([refreshSummary(), refreshHistory()]);
+  await Promise.all([refreshSummary(), refreshHistory(), refreshOrders()]);
   try {
     await fetchAiInsights();
   } catch (err) {
     console.warn('AI 洞察加载失败', err);
   }
+  fetchNews();
+  newsTimer = setInterval(fetchNews, 60 * 1000);
 }
 
 async function refreshSummary() {
   const data = await request(API.summary, { method: 'GET' });
   balanceEl.textContent = formatCurrency(data.balance);
+  equityEl.textContent = formatCurrency(data.equity);
+  marginEl.textContent = formatCurrency(data.usedMargin);
+  availableEl.textContent = formatCurrency(data.availableFunds);
+  renderMarginCall(data.marginCall);
+  availableEl.style.color = data.availableFunds < 0 ? '#dc2626' : '';
+  renderContractSpec(data.contractSpecs?.[symbol]);
   const holding = data.holdings?.[symbol] || { position: 0, averagePrice: 0 };
   currentHolding = {
     position: Number(holding.position) || 0,
     averagePrice: Number(holding.averagePrice) || 0
   };
-  positionEl.textContent = formatNumber(currentHolding.position);
+  positionEl.textContent = formatPosition(currentHolding.position);
   averageEl.textContent = currentHolding.position ? formatCurrency(currentHolding.averagePrice) : '-';
   updateUnrealized();
 }
 
+function renderContractSpec(spec) {
+  if (!spec) return;
+  contractSpec = spec;
+  if (contractSpecEl) {
+    contractSpecEl.textContent = `合约乘数 ${spec.multiplier} · 最小变动 ${spec.tickSize} · 开仓保证金 ${(
+      spec.initialMarginRate * 100
+    ).toFixed(0)}% · 维持保证金 ${(spec.maintenanceMarginRate * 100).toFixed(0)}%`;
+  }
+}
+
 async function refreshHistory() {
-  const data = await request(`${API.history}?symbol=${encodeURIComponent(symbol)}`, { method: 'GET' });
+  const data = await request(`${API.history}?symbol=${encodeURIComponent(symbol)}&limit=${HISTORY_LIMIT}`, {
+    method: 'GET'
+  });
   const records = data.history || [];
   historyBody.innerHTML = '';
   if (records.length === 0) {
@@ -323,7 +630,7 @@ async function refreshHistory() {
     const timeCell = document.createElement('td');
     timeCell.textContent = new Date(entry.timestamp).toLocaleString('zh-CN');
     const sideCell = document.createElement('td');
-    sideCell.textContent = entry.type === 'buy' ? '买入' : '卖出';
+    sideCell.textContent = formatSide(entry);
     const qtyCell = document.createElement('td');
     qtyCell.textContent = formatNumber(entry.quantity);
     const priceCell = document.createElement('td');
@@ -348,6 +655,12 @@ function setAiNextText(text) {
   }
 }
 
+function signalClass(bias) {
+  if (bias > 0.1) return 'ai-up';
+  if (bias < -0.1) return 'ai-down';
+  return '';
+}
+
 function renderAiInsights(insights = []) {
   aiContent.innerHTML = '';
   if (!insights.length) {
@@ -372,7 +685,7 @@ function renderAiInsights(insights = []) {
 
     const time = document.createElement('p');
     time.className = 'ai-time';
-    time.textContent = `发布时间：${formatAiTime(entry.issuedAt)}`;
+    time.textContent = `发布时间：${formatAiTime(entry.issuedAt)}${entry.provider === 'openai' ? ' · 大模型生成' : ''}`;
 
     const impact = document.createElement('p');
     impact.className = 'ai-impact';
@@ -385,7 +698,16 @@ function renderAiInsights(insights = []) {
     suggestion.className = 'ai-suggestion';
     suggestion.textContent = entry.suggestion;
 
-    item.append(header, time, impact, narrative, suggestion);
+    const signals = document.createElement('ul');
+    signals.className = 'ai-signals';
+    (entry.signals || []).forEach((signal) => {
+      const chip = document.createElement('li');
+      chip.className = signalClass(signal.bias);
+      chip.textContent = signal.text;
+      signals.appendChild(chip);
+    });
+
+    item.append(header, time, impact, narrative, signals, suggestion);
     aiContent.appendChild(item);
   });
 }
@@ -424,6 +746,12 @@ async function fetchAiInsights() {
     renderAiInsights(data.insights || []);
     updateAiNext(data.nextRefreshAt);
     scheduleAiAutoRefresh(data.nextRefreshAt);
+    fetchScorecard();
+    if (data.unread) {
+      request(API.aiRead, { method: 'POST', body: JSON.stringify({ symbols: [symbol] }) }).catch((err) =>
+        console.warn('AI 洞察已读状态保存失败', err)
+      );
+    }
     return data;
   } catch (err) {
     aiContent.innerHTML = `<p class="placeholder">${err.message}</p>`;
@@ -434,37 +762,328 @@ async function fetchAiInsights() {
   }
 }
 
-function initializeChart() {
+function formatRate(value) {
+  return value === null || value === undefined ? '-' : `${Number(value).toFixed(1)}%`;
+}
+
+function formatSignedPercent(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${Number(value).toFixed(2)}%`;
+}
+
+function placeholderRow(body, colSpan, text) {
+  body.innerHTML = '';
+  const row = document.createElement('tr');
+  const cell = document.createElement('td');
+  cell.colSpan = colSpan;
+  cell.className = 'placeholder';
+  cell.textContent = text;
+  row.appendChild(cell);
+  body.appendChild(row);
+}
+
+function appendRow(body, values) {
+  const row = document.createElement('tr');
+  values.forEach((value) => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    row.appendChild(cell);
+  });
+  body.appendChild(row);
+  return row;
+}
+
+function renderScorecard({ scorecard, recent = [] }) {
+  scoreHitRateEl.textContent = formatRate(scorecard.hitRate);
+  scoreCountEl.textContent = `${scorecard.evaluated} / ${scorecard.pending}`;
+  scoreMoveEl.textContent = formatSignedPercent(scorecard.averageMove);
+  scoreMoveEl.style.color = '';
+  if (scorecard.averageMove !== null) {
+    scoreMoveEl.style.color = scorecard.averageMove >= 0 ? '#16a34a' : '#dc2626';
+  }
+  scoreConfidenceEl.textContent = formatRate(scorecard.averageConfidence);
+
+  const buckets = scorecard.calibration.filter((bucket) => bucket.count);
+  if (!buckets.length) {
+    placeholderRow(calibrationBody, 4, '暂无评估数据');
+  } else {
+    calibrationBody.innerHTML = '';
+    buckets.forEach((bucket) => {
+      appendRow(calibrationBody, [
+        bucket.label,
+        formatNumber(bucket.count),
+        formatRate(bucket.averageConfidence),
+        formatRate(bucket.hitRate)
+      ]);
+    });
+  }
+
+  if (!recent.length) {
+    placeholderRow(scorecardBody, 7, '暂无评估数据');
+    return;
+  }
+  scorecardBody.innerHTML = '';
+  recent.forEach((entry) => {
+    const row = appendRow(scorecardBody, [
+      formatAiTime(entry.issuedAt),
+      entry.direction === 'down' ? '看跌' : '看涨',
+      `${entry.confidence}%`,
+      formatCurrency(entry.price),
+      formatCurrency(entry.evaluation.exitPrice),
+      formatSignedPercent(entry.evaluation.changePercent),
+      entry.evaluation.hit ? '命中' : '未命中'
+    ]);
+    row.lastChild.style.color = entry.evaluation.hit ? '#16a34a' : '#dc2626';
+  });
+}
+
+async function fetchScorecard() {
+  try {
+    renderScorecard(await request(`${API.scorecard}?symbol=${encodeURIComponent(symbol)}`, { method: 'GET' }));
+  } catch (err) {
+    console.warn('AI 战绩加载失败', err);
+  }
+}
+
+function renderNews(events = []) {
+  newsList.innerHTML = '';
+  if (!events.length) {
+    newsList.innerHTML = '<li class="placeholder">暂无已公布的消息。</li>';
+    return;
+  }
+  events.forEach((event) => {
+    const item = document.createElement('li');
+    item.className = event.status === 'scheduled' ? 'ai-news-scheduled' : signalClass(event.direction === 'up' ? 1 : -1);
+    const time = document.createElement('span');
+    time.className = 'ai-time';
+    time.textContent = formatAiTime(event.releasedAt || event.effectiveAt);
+    const text = document.createElement('span');
+    text.textContent = event.status === 'scheduled' ? `【预告】${event.headline}` : event.headline;
+    item.append(time, text);
+    newsList.appendChild(item);
+  });
+}
+
+async function fetchNews() {
+  try {
+    const data = await request(`${API.news}?symbol=${encodeURIComponent(symbol)}`, { method: 'GET' });
+    renderNews(data.events || []);
+  } catch (err) {
+    console.warn('消息日历加载失败', err);
+  }
+}
+
+function chartDataset() {
+  if (chartType === 'candlestick') {
+    return {
+      label: `${market.name} K线`,
+      data: candles.map((candle) => ({ x: candle.time, o: candle.open, h: candle.high, l: candle.low, c: candle.close })),
+      color: { up: '#16a34a', down: '#dc2626', unchanged: '#64748b' },
+      borderColor: { up: '#16a34a', down: '#dc2626', unchanged: '#64748b' }
+    };
+  }
+  return {
+    label: `${market.name} 价格`,
+    data: candles.map((candle) => ({ x: candle.time, y: candle.close })),
+    borderColor: '#0f172a',
+    backgroundColor: 'rgba(15, 23, 42, 0.1)',
+    borderWidth: 2,
+    tension: 0.25,
+    fill: true,
+    pointRadius: 0
+  };
+}
+
+function renderChart() {
   const ctx = document.getElementById('price-chart').getContext('2d');
-  priceSeries = [];
-  timestamps = [];
   if (chart) {
     chart.destroy();
   }
   chart = new Chart(ctx, {
-    type: 'line',
-    data: {
-      labels: timestamps,
-      datasets: [
-        {
-          label: `${marketName || symbol} 价格`,
-          data: priceSeries,
-          borderColor: '#0f172a',
-          backgroundColor: 'rgba(15, 23, 42, 0.1)',
-          borderWidth: 2,
-          tension: 0.25,
-          fill: true,
-          pointRadius: 0
-        }
-      ]
-    },
+    type: chartType,
+    data: { datasets: [chartDataset(), ...overlayDatasets()] },
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      animation: false,
       scales: {
         x: {
+          type: 'timeseries',
+          time: { tooltipFormat: 'yyyy-MM-dd HH:mm' },
+          ticks: { color: 'rgba(15, 23, 42, 0.6)', maxRotation: 0, autoSkipPadding: 16 },
+          grid: { color: 'rgba(15, 23, 42, 0.05)' }
+        },
+        y: {
           ticks: { color: 'rgba(15, 23, 42, 0.6)' },
           grid: { color: 'rgba(15, 23, 42, 0.05)' }
+        }
+      },
+      plugins: {
+        legend: {
+          labels: { boxWidth: 10, color: 'rgba(15, 23, 42, 0.7)', filter: (item) => item.datasetIndex > 0 }
+        }
+      }
+    }
+  });
+}
+
+function refreshChartData() {
+  if (chart) {
+    chart.data.datasets = [chartDataset(), ...overlayDatasets()];
+    chart.update('none');
+  }
+  renderIndicatorChart();
+}
+
+function parseParams(value, fallback) {
+  const params = String(value || '')
+    .split(/[,，\s]+/)
+    .map(Number)
+    .filter((item) => Number.isFinite(item) && item > 0);
+  return params.length ? params : fallback;
+}
+
+function readIndicatorSettings() {
+  const settings = { oscillator: oscillatorSelect.value, oscillatorParams: oscillatorParamsInput.value };
+  indicatorPanel.querySelectorAll('[data-indicator]').forEach((checkbox) => {
+    const name = checkbox.dataset.indicator;
+    settings[name] = {
+      enabled: checkbox.checked,
+      params: indicatorPanel.querySelector(`[data-params="${name}"]`).value
+    };
+  });
+  return settings;
+}
+
+function restoreIndicatorSettings() {
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(INDICATOR_KEY) || 'null');
+  } catch (err) {
+    saved = null;
+  }
+  if (!saved) return;
+  indicatorPanel.querySelectorAll('[data-indicator]').forEach((checkbox) => {
+    const entry = saved[checkbox.dataset.indicator];
+    if (!entry) return;
+    checkbox.checked = Boolean(entry.enabled);
+    indicatorPanel.querySelector(`[data-params="${checkbox.dataset.indicator}"]`).value = entry.params || '';
+  });
+  oscillatorSelect.value = saved.oscillator || '';
+  oscillatorParamsInput.value = saved.oscillatorParams || OSCILLATOR_DEFAULTS[saved.oscillator] || '';
+}
+
+function toPoints(values) {
+  return candles
+    .map((candle, index) => (values[index] === null ? null : { x: candle.time, y: values[index] }))
+    .filter(Boolean);
+}
+
+function lineDataset(label, values, color, extra = {}) {
+  return {
+    type: 'line',
+    label,
+    data: toPoints(values),
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 1.5,
+    pointRadius: 0,
+    fill: false,
+    tension: 0.2,
+    ...extra
+  };
+}
+
+function overlayDatasets() {
+  const settings = readIndicatorSettings();
+  const { closes } = Indicators.fromCandles(candles);
+  const datasets = [];
+  let color = 0;
+  const nextColor = () => OVERLAY_COLORS[color++ % OVERLAY_COLORS.length];
+  if (settings.ma.enabled) {
+    parseParams(settings.ma.params, [5, 10, 20]).forEach((period) => {
+      datasets.push(lineDataset(`MA${period}`, Indicators.sma(closes, period), nextColor()));
+    });
+  }
+  if (settings.ema.enabled) {
+    parseParams(settings.ema.params, [12, 26]).forEach((period) => {
+      datasets.push(lineDataset(`EMA${period}`, Indicators.ema(closes, period), nextColor()));
+    });
+  }
+  if (settings.boll.enabled) {
+    const [period, multiplier = 2] = parseParams(settings.boll.params, [20, 2]);
+    const bands = Indicators.bollinger(closes, period, multiplier);
+    const bandColor = nextColor();
+    datasets.push(lineDataset('BOLL 上轨', bands.upper, bandColor, { borderDash: [4, 4] }));
+    datasets.push(lineDataset('BOLL 中轨', bands.middle, bandColor));
+    datasets.push(lineDataset('BOLL 下轨', bands.lower, bandColor, { borderDash: [4, 4] }));
+  }
+  return datasets;
+}
+
+function oscillatorDatasets(name, params) {
+  const { closes, highs, lows } = Indicators.fromCandles(candles);
+  if (name === 'macd') {
+    const [fast, slow, signal] = parseParams(params, [12, 26, 9]);
+    const result = Indicators.macd(closes, fast, slow || 26, signal || 9);
+    return [
+      {
+        type: 'bar',
+        label: 'MACD',
+        data: toPoints(result.histogram),
+        backgroundColor: toPoints(result.histogram).map((point) => (point.y >= 0 ? '#16a34a' : '#dc2626'))
+      },
+      lineDataset('DIF', result.dif, '#f59e0b'),
+      lineDataset('DEA', result.dea, '#6366f1')
+    ];
+  }
+  if (name === 'rsi') {
+    return parseParams(params, [14]).map((period, index) =>
+      lineDataset(`RSI${period}`, Indicators.rsi(closes, period), OVERLAY_COLORS[index % OVERLAY_COLORS.length])
+    );
+  }
+  if (name === 'kdj') {
+    const [period, kPeriod, dPeriod] = parseParams(params, [9, 3, 3]);
+    const result = Indicators.kdj(highs, lows, closes, period, kPeriod || 3, dPeriod || 3);
+    return [lineDataset('K', result.k, '#f59e0b'), lineDataset('D', result.d, '#6366f1'), lineDataset('J', result.j, '#ec4899')];
+  }
+  return [];
+}
+
+function renderIndicatorChart() {
+  const { oscillator, oscillatorParams } = readIndicatorSettings();
+  indicatorPane.classList.toggle('hidden', !oscillator);
+  if (!oscillator) {
+    if (indicatorChart) {
+      indicatorChart.destroy();
+      indicatorChart = null;
+    }
+    return;
+  }
+  const datasets = oscillatorDatasets(oscillator, oscillatorParams);
+  const range = candles.length ? { min: candles[0].time, max: candles[candles.length - 1].time } : {};
+  if (indicatorChart && indicatorChart.$oscillator === oscillator) {
+    indicatorChart.data.datasets = datasets;
+    Object.assign(indicatorChart.options.scales.x, range);
+    indicatorChart.update('none');
+    return;
+  }
+  if (indicatorChart) {
+    indicatorChart.destroy();
+  }
+  indicatorChart = new Chart(document.getElementById('indicator-chart').getContext('2d'), {
+    type: 'line',
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      scales: {
+        x: {
+          type: 'timeseries',
+          ...range,
+          ticks: { color: 'rgba(15, 23, 42, 0.6)', maxRotation: 0, autoSkipPadding: 16 },
+          grid: { color: 'rgba(15, 23, 42, 0.05)' }
         },
         y: {
           ticks: { color: 'rgba(15, 23, 42, 0.6)' },
@@ -472,23 +1091,107 @@ function initializeChart() {
         }
       },
       plugins: {
-        legend: { display: false }
+        legend: { display: true, labels: { boxWidth: 10, color: 'rgba(15, 23, 42, 0.7)' } }
       }
     }
   });
+  indicatorChart.$oscillator = oscillator;
+}
+
+indicatorPanel.addEventListener('change', (event) => {
+  if (event.target === oscillatorSelect) {
+    oscillatorParamsInput.value = OSCILLATOR_DEFAULTS[oscillatorSelect.value] || '';
+  }
+  localStorage.setItem(INDICATOR_KEY, JSON.stringify(readIndicatorSettings()));
+  refreshChartData();
+});
+
+async function loadCandles({ earlier = false } = {}) {
+  if (candlesLoading) return;
+  candlesLoading = true;
+  loadEarlierBtn.disabled = true;
+  try {
+    const params = new URLSearchParams({ symbol, interval: chartInterval, limit: '200' });
+    if (earlier && candles.length) {
+      params.set('to', String(candles[0].time - 1));
+    }
+    const data = await request(`${API.candles}?${params}`, { method: 'GET' });
+    const loaded = data.candles || [];
+    candles = earlier ? [...loaded, ...candles] : loaded;
+    hasMoreCandles = Boolean(data.hasMore);
+    refreshChartData();
+  } finally {
+    candlesLoading = false;
+    loadEarlierBtn.disabled = !hasMoreCandles;
+  }
 }
 
+function applyQuoteToCandles(quote) {
+  const size = INTERVAL_MS[chartInterval];
+  const timestamp = Date.parse(quote.timestamp);
+  const time = Math.floor((timestamp + CST_OFFSET_MS) / size) * size - CST_OFFSET_MS;
+  const price = Number(quote.price);
+  const last = candles[candles.length - 1];
+  if (last && last.time === time) {
+    last.high = Math.max(last.high, price);
+    last.low = Math.min(last.low, price);
+    last.close = price;
+    last.volume += 1;
+  } else if (!last || last.time < time) {
+    candles.push({ time, open: price, high: price, low: price, close: price, volume: 1 });
+  }
+}
+
+function initializeChart() {
+  candles = [];
+  restoreIndicatorSettings();
+  renderChart();
+  loadCandles().catch((err) => console.warn('K线加载失败', err));
+}
+
+chartTypeButtons.forEach((button) =>
+  button.addEventListener('click', () => {
+    chartType = button.dataset.type;
+    chartTypeButtons.forEach((item) => item.classList.toggle('active', item === button));
+    renderChart();
+  })
+);
+
+chartIntervalSelect.addEventListener('change', () => {
+  chartInterval = chartIntervalSelect.value;
+  initializeChart();
+});
+
+loadEarlierBtn.addEventListener('click', () => {
+  loadCandles({ earlier: true }).catch((err) => console.warn('K线加载失败', err));
+});
+
 function startPriceStream() {
-  if (priceTimer) return;
-  updatePrice();
-  priceTimer = setInterval(updatePrice, 4000);
+  if (priceSource) return;
+  priceSource = new EventSource(`${API.stream}?symbols=${encodeURIComponent(symbol)}`);
+  priceSource.addEventListener('open', () => {
+    lastQuoteSeq = null;
+  });
+  priceSource.addEventListener('tick', (event) => {
+    try {
+      updatePrice(JSON.parse(event.data));
+    } catch (err) {
+      console.warn('行情解析失败', err);
+    }
+  });
+  priceSource.addEventListener('error', () => {
+    if (priceSource && priceSource.readyState === EventSource.CLOSED) {
+      console.warn('行情连接已断开');
+    }
+  });
 }
 
 function stopPriceStream() {
-  if (priceTimer) {
-    clearInterval(priceTimer);
-    priceTimer = null;
+  if (priceSource) {
+    priceSource.close();
+    priceSource = null;
   }
+  lastQuoteSeq = null;
 }
 
 function stopAiAutoRefresh() {
@@ -496,42 +1199,61 @@ function stopAiAutoRefresh() {
     clearTimeout(aiTimer);
     aiTimer = null;
   }
+  if (newsTimer) {
+    clearInterval(newsTimer);
+    newsTimer = null;
+  }
 }
 
-function updatePrice() {
-  previousPrice = currentPrice;
-  const delta = (Math.random() - 0.5) * volatility * 2;
-  currentPrice = Math.max(minPrice, currentPrice + delta);
-  const changePercent = previousPrice === 0 ? 0 : ((currentPrice - previousPrice) / previousPrice) * 100;
-  const now = new Date();
-  const label = now.toLocaleTimeString('zh-CN', { hour12: false });
-  timestamps.push(label);
-  priceSeries.push(Number(currentPrice.toFixed(2)));
-  if (timestamps.length > 50) {
-    timestamps.shift();
-    priceSeries.shift();
-  }
-  currentPriceEl.textContent = `${currentPrice.toFixed(2)} ${marketUnit || ''}`.trim();
+function updatePrice(quote) {
+  if (!quote || quote.symbol !== symbol) return;
+  if (lastQuoteSeq !== null && quote.seq <= lastQuoteSeq) return;
+  lastQuoteSeq = quote.seq;
+  currentPrice = Number(quote.price);
+  const changePercent = Number(quote.changePercent) || 0;
+  applyQuoteToCandles(quote);
+  currentPriceEl.textContent = `${currentPrice.toFixed(2)} ${market.unit || ''}`.trim();
   const changeText = `${changePercent >= 0 ? '+' : ''}${changePercent.toFixed(2)}%`;
   priceChangeEl.textContent = changeText;
   priceChangeEl.style.color = changePercent >= 0 ? '#16a34a' : '#dc2626';
-  chart.update();
+  refreshChartData();
   updateUnrealized();
+  if (token && orderMayHaveFilled(currentPrice)) {
+    setTimeout(syncAfterFills, 500);
+  }
 }
 
 function updateUnrealized() {
   if (!unrealizedEl) return;
-  if (!currentHolding.position) {
+  if (!currentHolding.position || currentPrice === null) {
     unrealizedEl.textContent = '-';
     return;
   }
-  const pnl = (currentPrice - currentHolding.averagePrice) * currentHolding.position;
+  const pnl = (currentPrice - currentHolding.averagePrice) * currentHolding.position * (contractSpec.multiplier || 1);
   unrealizedEl.textContent = formatCurrency(pnl);
   unrealizedEl.style.color = pnl >= 0 ? '#16a34a' : '#dc2626';
 }
 
+document.querySelectorAll('[data-export]').forEach((button) => {
+  button.addEventListener('click', () => {
+    downloadExport(button.dataset.export, {
+      token,
+      params: new URLSearchParams({ symbol }),
+      onUnauthorized: handleUnauthorized
+    }).catch((err) => showAlert(err.message));
+  });
+});
+
 window.addEventListener('DOMContentLoaded', async () => {
+  try {
+    await loadContract();
+  } catch (err) {
+    showAlert(`${err.message}，请返回主页面选择品种。`);
+    return;
+  }
   setupCopy();
+  startSessionClock();
+  syncOrderInputs();
   if (restoreSession()) {
     try {
       await enterMarket();
@@ -1,100 +1,195 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const {
+  configureCalendar,
+  contracts,
+  correlations,
+  findSymbolBySlug,
+  getContract,
+  getContractSpecs,
+  getMarketStatus,
+  listContracts,
+  tradingRestriction
+} = require('./lib/contracts');
+const { createPriceEngine } = require('./lib/price-engine');
+const { createQuoteStream } = require('./lib/quote-stream');
+const { roundMoney } = require('./lib/positions');
+const { computeAccount } = require('./lib/margin');
+const { createSettlementService } = require('./lib/settlement');
+const { createLoginLimiter, hashPassword, validatePassword, verifyPassword } = require('./lib/auth');
+const { createSessionStore } = require('./lib/sessions');
+const {
+  cancelOrder,
+  createOrder,
+  createOrderMatcher,
+  executeFill,
+  isOpen,
+  parseBracket,
+  placeOrder
+} = require('./lib/orders');
+const { createStorage } = require('./lib/storage');
+const { normalizeUsers } = require('./lib/users');
+const { createAuditLog } = require('./lib/audit-log');
+const { createAdminService } = require('./lib/admin');
+const { createCandleStore } = require('./lib/candles');
+const { createMarketAnalyst } = require('./lib/insights');
+const { createAiProvider, createInsightGenerator } = require('./lib/ai-providers');
+const { createInsightFeed } = require('./lib/insight-feed');
+const { createNewsSchedule } = require('./lib/news');
+const { createEquityRecorder } = require('./lib/equity');
+const { computeAnalytics } = require('./lib/analytics');
+const { filterHistory, pageHistory } = require('./lib/history-query');
+const { POSITION_COLUMNS, STATEMENT_COLUMNS, TRADE_COLUMNS, statementRows, toCsv, toXlsx } = require('./lib/export');
 
 const PORT = process.env.PORT || 3000;
 const DATA_DIR = path.join(__dirname, 'data');
-const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const CONTRACTS_FILE = path.join(DATA_DIR, 'contracts.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const CANDLES_DIR = path.join(DATA_DIR, 'candles');
+const INSIGHTS_FILE = path.join(DATA_DIR, 'insights.json');
+const EQUITY_DIR = path.join(DATA_DIR, 'equity');
 const PUBLIC_DIR = path.join(__dirname, 'public');
+const PRICE_TICK_MS = Number(process.env.PRICE_TICK_MS) || 4000;
+const PRICE_SEED = process.env.PRICE_SEED;
+const SETTLEMENT_TIME = process.env.SETTLEMENT_TIME || '15:00';
+const MARGIN_CALL_GRACE_MS = Number(process.env.MARGIN_CALL_GRACE_MS) || 60 * 60 * 1000;
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCK_MS = Number(process.env.LOGIN_LOCK_MS) || 15 * 60 * 1000;
+const SESSION_IDLE_MS = Number(process.env.SESSION_IDLE_MS) || 2 * 60 * 60 * 1000;
+const EQUITY_SNAPSHOT_MS = Number(process.env.EQUITY_SNAPSHOT_MS) || 5 * 60 * 1000;
+const SESSION_MAX_AGE_MS = Number(process.env.SESSION_MAX_AGE_MS) || 7 * 24 * 60 * 60 * 1000;
+const MAX_SESSIONS_LIMIT = 10;
+const TRADING_CALENDAR = process.env.TRADING_CALENDAR !== 'off';
+const MARKET_HOLIDAYS = (process.env.MARKET_HOLIDAYS || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
 
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+const INITIAL_BALANCE = 1000000;
+const AI_MIN_INTERVAL = 30 * 60 * 1000;
+const AI_MAX_INTERVAL = 90 * 60 * 1000;
+const AI_VISIBLE_INSIGHTS = 3;
+const AI_PROVIDER = process.env.AI_PROVIDER || 'template';
+const AI_BASE_URL = process.env.AI_BASE_URL || 'http://127.0.0.1:11434/v1';
+const AI_MODEL = process.env.AI_MODEL || 'qwen2.5:7b';
+const AI_API_KEY = process.env.AI_API_KEY || '';
+const AI_TIMEOUT_MS = Number(process.env.AI_TIMEOUT_MS) || 15 * 1000;
+const AI_CACHE_MS = Number(process.env.AI_CACHE_MS) || 5 * 60 * 1000;
+const EXPORT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+const ANALYTICS_RANGES = {
+  '1d': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+const ORDER_RESULT_MESSAGES = {
+  filled: '委托已成交。',
+  open: '委托已提交。',
+  triggered: '委托已触发，等待成交。',
+  cancelled: '委托未成交，已撤销。',
+  expired: '委托已到期。'
+};
+const storage = createStorage({
+  backend: STORAGE_BACKEND,
+  dataDir: DATA_DIR,
+  file: process.env.SQLITE_FILE,
+  normalize: normalizeUsers
+});
+const sessionStore = createSessionStore({
+  file: SESSIONS_FILE,
+  idleMs: SESSION_IDLE_MS,
+  absoluteMs: SESSION_MAX_AGE_MS
+});
+configureCalendar({ enabled: TRADING_CALENDAR, holidays: MARKET_HOLIDAYS });
+const priceEngine = createPriceEngine(contracts, {
+  intervalMs: PRICE_TICK_MS,
+  seed: PRICE_SEED,
+  correlations,
+  isActive: (symbol) => !tradingRestriction(symbol)
+});
+const quoteStream = createQuoteStream(priceEngine);
+const candleStore = createCandleStore({ engine: priceEngine, dir: CANDLES_DIR });
+const newsSchedule = createNewsSchedule({ engine: priceEngine, getContract, seed: PRICE_SEED });
+const marketAnalyst = createMarketAnalyst({ engine: priceEngine, candleStore, news: newsSchedule });
+const insightGenerator = createInsightGenerator({
+  provider: createAiProvider({
+    provider: AI_PROVIDER,
+    baseUrl: AI_BASE_URL,
+    model: AI_MODEL,
+    apiKey: AI_API_KEY,
+    timeoutMs: AI_TIMEOUT_MS
+  }),
+  analyst: marketAnalyst,
+  getContract,
+  cacheMs: AI_CACHE_MS
+});
+const insightFeed = createInsightFeed({
+  file: INSIGHTS_FILE,
+  generator: insightGenerator,
+  getContract,
+  listSymbols: () => Object.keys(contracts),
+  closeAt: candleStore.closeAt,
+  isActive: (symbol) => !tradingRestriction(symbol),
+  minIntervalMs: AI_MIN_INTERVAL,
+  maxIntervalMs: AI_MAX_INTERVAL
+});
+const equityRecorder = createEquityRecorder({
+  storage,
+  getPrice: markPrice,
+  dir: EQUITY_DIR,
+  intervalMs: EQUITY_SNAPSHOT_MS
+});
+const auditLog = createAuditLog({ file: AUDIT_FILE });
+const adminService = createAdminService({
+  file: CONTRACTS_FILE,
+  storage,
+  engine: priceEngine,
+  audit: auditLog,
+  initialBalance: INITIAL_BALANCE,
+  getPrice: markPrice
+});
+const loginLimiter = createLoginLimiter({ maxAttempts: LOGIN_MAX_ATTEMPTS, lockMs: LOGIN_LOCK_MS });
 
-if (!fs.existsSync(USERS_FILE)) {
-  fs.writeFileSync(USERS_FILE, JSON.stringify({}), 'utf-8');
-}
+const settlementService = createSettlementService({
+  storage,
+  getPrice: markPrice,
+  settlementTime: SETTLEMENT_TIME,
+  graceMs: MARGIN_CALL_GRACE_MS
+});
 
-const INITIAL_BALANCE = 1000000;
-const AI_MIN_INTERVAL = 12 * 60 * 60 * 1000;
-const AI_MAX_INTERVAL = 24 * 60 * 60 * 1000;
-const sessions = new Map();
-const userSessions = new Map();
-
-function writeUsers(users) {
-  fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), 'utf-8');
-}
-
-function normalizeUsers(users) {
-  let updated = false;
-  for (const [username, user] of Object.entries(users)) {
-    if (!user) continue;
-    if (!user.holdings) {
-      const holdings = {};
-      if (typeof user.position === 'number' && user.position !== 0) {
-        holdings.HOG = {
-          position: user.position,
-          averagePrice: Number(user.averagePrice || 0)
-        };
-      }
-      user.holdings = holdings;
-      delete user.position;
-      delete user.averagePrice;
-      updated = true;
-    }
-    if (!Array.isArray(user.history)) {
-      user.history = [];
-      updated = true;
-    }
-    if (!user.aiInsights) {
-      user.aiInsights = {};
-      updated = true;
-    }
-    let historyUpdated = false;
-    user.history = user.history.map((entry) => {
-      if (entry && !entry.symbol) {
-        historyUpdated = true;
-        return { ...entry, symbol: 'HOG' };
-      }
-      return entry;
-    });
-    if (historyUpdated) {
-      updated = true;
-    }
-  }
-  if (updated) {
-    writeUsers(users);
-  }
-  return users;
+const orderMatcher = createOrderMatcher({
+  engine: priceEngine,
+  storage,
+  getPrice: markPrice
+});
+
+function getMaxSessions(user) {
+  const value = Number(user && user.settings && user.settings.maxSessions);
+  return Number.isInteger(value) && value > 0 ? Math.min(value, MAX_SESSIONS_LIMIT) : 1;
 }
 
-function readUsers() {
-  const raw = fs.readFileSync(USERS_FILE, 'utf-8');
-  const users = JSON.parse(raw);
-  return normalizeUsers(users);
+function bearerToken(req) {
+  const authHeader = req.headers['authorization'] || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
 }
 
-function createSession(username) {
-  const token = crypto.randomBytes(24).toString('hex');
-  if (userSessions.has(username)) {
-    const previousToken = userSessions.get(username);
-    sessions.delete(previousToken);
+// Returns null for malformed percent-escapes instead of throwing inside the request handler.
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return null;
   }
-  userSessions.set(username, token);
-  sessions.set(token, { username, createdAt: Date.now() });
-  return token;
-}
-
-function clearSession(token) {
-  if (!token) return;
-  const session = sessions.get(token);
-  if (!session) return;
-  const { username } = session;
-  if (userSessions.get(username) === token) {
-    userSessions.delete(username);
-  }
-  sessions.delete(token);
 }
 
 function sendJson(res, statusCode, payload) {
@@ -133,12 +228,7 @@ async function parseBody(req) {
 }
 
 function authenticate(req) {
-  const authHeader = req.headers['authorization'] || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  if (token && sessions.has(token)) {
-    return sessions.get(token).username;
-  }
-  return null;
+  return sessionStore.authenticate(bearerToken(req));
 }
 
 function serveStatic(req, res, pathname) {
@@ -168,24 +258,29 @@ function serveStatic(req, res, pathname) {
 
 function handleRegister(req, res) {
   parseBody(req)
-    .then(({ username, password }) => {
+    .then(async ({ username, password }) => {
       if (!username || !password) {
         sendJson(res, 400, { error: '用户名和密码均为必填。' });
         return;
       }
-      const users = readUsers();
-      if (users[username]) {
+      const policyError = validatePassword(password, username);
+      if (policyError) {
+        sendJson(res, 400, { error: policyError });
+        return;
+      }
+      if (storage.hasUser(username)) {
         sendJson(res, 400, { error: '该用户名已存在，请选择其他用户名。' });
         return;
       }
-      users[username] = {
-        password,
+      const passwordHash = await hashPassword(password);
+      await storage.createUser(username, {
+        passwordHash,
         balance: INITIAL_BALANCE,
+        accountType: 'margin',
         holdings: {},
         history: [],
-        aiInsights: {}
-      };
-      writeUsers(users);
+        insightPrefs: { subscriptions: null, lastRead: {} }
+      });
       sendJson(res, 200, { message: '注册成功，请登录。' });
     })
     .catch((err) => {
@@ -193,20 +288,38 @@ function handleRegister(req, res) {
     });
 }
 
+function clientIp(req) {
+  return req.socket.remoteAddress || 'unknown';
+}
+
 function handleLogin(req, res) {
   parseBody(req)
-    .then(({ username, password }) => {
+    .then(async ({ username, password }) => {
       if (!username || !password) {
         sendJson(res, 400, { error: '用户名和密码均为必填。' });
         return;
       }
-      const users = readUsers();
-      const user = users[username];
-      if (!user || user.password !== password) {
+      const ip = clientIp(req);
+      const lock = loginLimiter.check(username, ip);
+      if (lock.locked) {
+        const minutes = Math.ceil(lock.retryAfterMs / 60000);
+        res.setHeader('Retry-After', Math.ceil(lock.retryAfterMs / 1000));
+        sendJson(res, 429, { error: `登录失败次数过多，请在 ${minutes} 分钟后重试。` });
+        return;
+      }
+      const user = storage.getUser(username);
+      const valid = await verifyPassword(password, user ? user.passwordHash : null);
+      if (!user || !valid) {
+        loginLimiter.recordFailure(username, ip);
         sendJson(res, 401, { error: '用户名或密码错误。' });
         return;
       }
-      const token = createSession(username);
+      loginLimiter.recordSuccess(username);
+      const { token } = sessionStore.create(username, {
+        userAgent: req.headers['user-agent'],
+        ip,
+        maxSessions: getMaxSessions(user)
+      });
       sendJson(res, 200, { message: '登录成功。', token });
     })
     .catch((err) => {
@@ -215,69 +328,241 @@ function handleLogin(req, res) {
 }
 
 function handleLogout(req, res) {
-  const authHeader = req.headers['authorization'] || '';
-  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
-  if (token) {
-    clearSession(token);
-  }
+  sessionStore.revoke(bearerToken(req));
   sendJson(res, 200, { message: '已退出登录。' });
 }
 
 function withAuth(req, res, handler) {
-  const user = authenticate(req);
-  if (!user) {
-    sendJson(res, 401, { error: '登录状态已失效，请重新登录（可能因在其他页面登录）。' });
+  const session = authenticate(req);
+  if (!session) {
+    sendJson(res, 401, { error: '登录状态已失效，请重新登录（可能因会话过期或在其他设备登录）。' });
     return;
   }
-  handler(user);
+  handler(session.username, session);
+}
+
+function isAdmin(username) {
+  const user = storage.getUser(username);
+  return Boolean(user) && user.role === 'admin';
+}
+
+// ADMIN_USERNAMES only promotes accounts that already exist, so nobody can claim admin
+// rights by registering a listed name that is still free.
+function promoteAdmins() {
+  ADMIN_USERNAMES.forEach((username) => {
+    if (!storage.hasUser(username)) {
+      console.warn(`ADMIN_USERNAMES: user "${username}" does not exist, skipping`);
+      return;
+    }
+    storage
+      .withUser(username, (user) => {
+        user.role = 'admin';
+      })
+      .catch((err) => console.error(`Failed to promote ${username} to admin`, err));
+  });
+}
+
+function withAdmin(req, res, handler) {
+  withAuth(req, res, (username, session) => {
+    if (!isAdmin(username)) {
+      sendJson(res, 403, { error: '需要管理员权限。' });
+      return;
+    }
+    handler(username, session);
+  });
+}
+
+function handleListSessions(req, res) {
+  withAuth(req, res, (username, session) => {
+    const user = storage.getUser(username);
+    const sessions = sessionStore.list(username).map((item) => ({ ...item, current: item.id === session.id }));
+    sendJson(res, 200, { sessions, maxSessions: getMaxSessions(user), maxSessionsLimit: MAX_SESSIONS_LIMIT });
+  });
+}
+
+function handleRevokeSession(req, res, sessionId) {
+  withAuth(req, res, (username) => {
+    if (!sessionStore.revokeById(username, sessionId)) {
+      sendJson(res, 404, { error: '会话不存在或已失效。' });
+      return;
+    }
+    sendJson(res, 200, { message: '已注销该设备的登录。' });
+  });
+}
+
+function handleAccountSettings(req, res) {
+  withAuth(req, res, (username, session) => {
+    parseBody(req)
+      .then(async ({ maxSessions }) => {
+        const value = Number(maxSessions);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_SESSIONS_LIMIT) {
+          sendJson(res, 400, { error: `同时在线设备数需为 1-${MAX_SESSIONS_LIMIT} 之间的整数。` });
+          return;
+        }
+        if (!storage.hasUser(username)) {
+          sendJson(res, 404, { error: '用户不存在。' });
+          return;
+        }
+        const settings = await storage.withUser(username, (user) => {
+          user.settings = { ...(user.settings || {}), maxSessions: value };
+          return user.settings;
+        });
+        sessionStore.enforceLimit(username, value, session.id);
+        sendJson(res, 200, { message: '设置已保存。', settings });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
 }
 
 function handleSummary(req, res) {
   withAuth(req, res, (username) => {
-    const users = readUsers();
-    const user = users[username];
+    const user = storage.getUser(username);
     if (!user) {
       sendJson(res, 404, { error: '用户不存在。' });
       return;
     }
+    const account = computeAccount(user, markPrice);
     sendJson(res, 200, {
+      role: isAdmin(username) ? 'admin' : 'user',
       balance: user.balance,
+      equity: account.equity,
+      usedMargin: account.usedMargin,
+      maintenanceMargin: account.maintenanceMargin,
+      availableFunds: account.availableFunds,
+      unrealizedPnl: account.unrealizedPnl,
       holdings: user.holdings || {},
-      history: user.history || []
+      positions: account.positions,
+      contractSpecs: getContractSpecs(),
+      marginCall: user.marginCall || null,
+      lastSettlement: (user.settlements || [])[0] || null,
+      nextSettlementAt: settlementService.nextSettlementAt().toISOString()
     });
   });
 }
 
+function markPrice(symbol) {
+  const quote = priceEngine.getQuote(symbol);
+  return quote ? quote.price : null;
+}
+
+function historyOptions(searchParams) {
+  return {
+    symbol: searchParams.get('symbol') || '',
+    side: searchParams.get('side'),
+    pnl: searchParams.get('pnl'),
+    minPnl: searchParams.get('minPnl'),
+    maxPnl: searchParams.get('maxPnl'),
+    from: parseTime(searchParams.get('from')),
+    to: parseTime(searchParams.get('to')),
+    sort: searchParams.get('sort'),
+    order: searchParams.get('order')
+  };
+}
+
 function handleHistory(req, res, searchParams) {
   withAuth(req, res, (username) => {
-    const users = readUsers();
-    const user = users[username];
+    const user = storage.getUser(username);
     if (!user) {
       sendJson(res, 404, { error: '用户不存在。' });
       return;
     }
-    const symbol = (searchParams.get('symbol') || '').toUpperCase();
-    const history =
-      symbol && symbol.length
-        ? (user.history || []).filter((entry) => entry.symbol === symbol)
-        : user.history || [];
-    sendJson(res, 200, { history });
+    try {
+      sendJson(
+        res,
+        200,
+        pageHistory(user.history || [], {
+          ...historyOptions(searchParams),
+          cursor: searchParams.get('cursor'),
+          limit: searchParams.get('limit')
+        })
+      );
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+    }
   });
 }
 
-function ensureHoldingStructure(holding = {}) {
-  return {
-    position: Number(holding.position) || 0,
-    averagePrice: Number(holding.averagePrice) || 0
-  };
+// Trades honour the /api/history filters; positions take `symbol`, statements `from`/`to`.
+function exportReport(report, user, searchParams) {
+  const options = historyOptions(searchParams);
+  if (report === 'trades') {
+    return { sheet: '交易记录', columns: TRADE_COLUMNS, rows: filterHistory(user.history || [], options) };
+  }
+  if (report === 'positions') {
+    const symbols = parseSymbols(searchParams);
+    const positions = Object.entries(computeAccount(user, markPrice).positions)
+      .filter(([symbol]) => !symbols.length || symbols.includes(symbol))
+      .map(([symbol, position]) => ({ symbol, ...position }));
+    return { sheet: '持仓', columns: POSITION_COLUMNS, rows: positions };
+  }
+  const rows = statementRows(user.settlements || [], user.history || []).filter((row) => {
+    const time = Date.parse(row.settledAt);
+    return (options.from === undefined || time >= options.from) && (options.to === undefined || time <= options.to);
+  });
+  return { sheet: '结算单', columns: STATEMENT_COLUMNS, rows: rows.reverse() };
+}
+
+function handleExport(req, res, report, format, searchParams) {
+  withAuth(req, res, (username) => {
+    const user = storage.getUser(username);
+    if (!user) {
+      sendJson(res, 404, { error: '用户不存在。' });
+      return;
+    }
+    let body;
+    try {
+      const { sheet, columns, rows } = exportReport(report, user, searchParams);
+      body = format === 'csv' ? toCsv(columns, rows) : toXlsx(sheet, columns, rows);
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+      return;
+    }
+    const date = new Date().toLocaleDateString('sv-SE', { timeZone: 'Asia/Shanghai' }).replace(/-/g, '');
+    res.writeHead(200, {
+      'Content-Type': EXPORT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${report}-${date}.${format}"`,
+      'Content-Length': body.length
+    });
+    res.end(body);
+  });
+}
+
+function handleAnalytics(req, res, searchParams) {
+  withAuth(req, res, (username) => {
+    const user = storage.getUser(username);
+    if (!user) {
+      sendJson(res, 404, { error: '用户不存在。' });
+      return;
+    }
+    const range = searchParams.get('range') || 'all';
+    if (!Object.hasOwn(ANALYTICS_RANGES, range)) {
+      sendJson(res, 400, { error: '不支持的统计区间。' });
+      return;
+    }
+    const from = ANALYTICS_RANGES[range] ? Date.now() - ANALYTICS_RANGES[range] : undefined;
+    const account = computeAccount(user, markPrice);
+    sendJson(res, 200, {
+      range,
+      ...computeAnalytics({
+        history: user.history || [],
+        adjustments: user.adjustments || [],
+        snapshots: equityRecorder.query(username, { from }),
+        current: equityRecorder.current(username),
+        positions: account.positions,
+        from,
+        stepMs: equityRecorder.intervalMs
+      })
+    });
+  });
 }
 
 function handleTrade(req, res) {
   withAuth(req, res, (username) => {
     parseBody(req)
-      .then(({ type, quantity, price, symbol }) => {
+      .then(async ({ type, quantity, symbol, takeProfit, stopLoss }) => {
         const qty = Number(quantity);
-        const tradePrice = Number(price);
         const trimmedSymbol = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
         if (!['buy', 'sell'].includes(type)) {
           sendJson(res, 400, { error: '交易类型不合法。' });
@@ -287,69 +572,88 @@ function handleTrade(req, res) {
           sendJson(res, 400, { error: '请选择交易合约。' });
           return;
         }
-        if (!qty || qty <= 0 || !tradePrice || tradePrice <= 0) {
-          sendJson(res, 400, { error: '数量和价格必须为正数。' });
+        const restriction = tradingRestriction(trimmedSymbol);
+        if (restriction) {
+          sendJson(res, 400, { error: restriction });
+          return;
+        }
+        if (!Number.isInteger(qty) || qty <= 0) {
+          sendJson(res, 400, { error: '数量必须为正整数（手）。' });
+          return;
+        }
+        const quote = priceEngine.getQuote(trimmedSymbol);
+        if (!quote) {
+          sendJson(res, 400, { error: '暂无该合约行情，无法成交。' });
           return;
         }
+        const tradePrice = quote.price;
+        const bracket = parseBracket({ takeProfit, stopLoss }, type, tradePrice, getContract(trimmedSymbol));
 
-        const users = readUsers();
-        const user = users[username];
-        if (!user) {
+        if (!storage.hasUser(username)) {
           sendJson(res, 404, { error: '用户不存在。' });
           return;
         }
 
-        user.holdings = user.holdings || {};
-        const holding = ensureHoldingStructure(user.holdings[trimmedSymbol]);
-        let realizedPnl = 0;
-        if (type === 'buy') {
-          const cost = tradePrice * qty;
-          if (user.balance < cost) {
-            sendJson(res, 400, { error: '余额不足，无法买入。' });
-            return;
-          }
-          const newPosition = holding.position + qty;
-          const newAvgPrice =
-            newPosition === 0 ? 0 : (holding.averagePrice * holding.position + tradePrice * qty) / newPosition;
-          user.balance -= cost;
-          holding.position = newPosition;
-          holding.averagePrice = Number(newAvgPrice.toFixed(2));
-        } else {
-          if (holding.position < qty) {
-            sendJson(res, 400, { error: '持仓不足，无法卖出。' });
-            return;
-          }
-          const revenue = tradePrice * qty;
-          realizedPnl = (tradePrice - holding.averagePrice) * qty;
-          user.balance += revenue;
-          holding.position -= qty;
-          if (holding.position === 0) {
-            holding.averagePrice = 0;
-          }
-        }
+        const { entry, children } = await storage.withUser(username, (user) =>
+          executeFill(user, { symbol: trimmedSymbol, type, quantity: qty, price: tradePrice }, markPrice, { bracket })
+        );
+        sendJson(res, 200, { message: '交易成功。', entry, bracketOrders: children });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
+}
 
-        if (holding.position === 0) {
-          delete user.holdings[trimmedSymbol];
-        } else {
-          user.holdings[trimmedSymbol] = holding;
+function handlePlaceOrder(req, res) {
+  withAuth(req, res, (username) => {
+    parseBody(req)
+      .then(async (payload) => {
+        const order = createOrder(payload, { expiresAt: settlementService.nextSettlementAt().toISOString() });
+        if (!storage.hasUser(username)) {
+          sendJson(res, 404, { error: '用户不存在。' });
+          return;
         }
+        const entry = await storage.withUser(username, (user) => placeOrder(user, order, markPrice));
+        const { status } = order;
+        const reason = order.reason || null;
+        if (status === 'rejected') {
+          sendJson(res, 400, { error: reason || '委托被拒绝。', status, reason, order });
+          return;
+        }
+        sendJson(res, 200, { message: ORDER_RESULT_MESSAGES[status], status, reason, order, entry });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
+}
+
+function handleListOrders(req, res, searchParams) {
+  withAuth(req, res, (username) => {
+    const user = storage.getUser(username);
+    if (!user) {
+      sendJson(res, 404, { error: '用户不存在。' });
+      return;
+    }
+    const symbol = (searchParams.get('symbol') || '').toUpperCase();
+    const status = searchParams.get('status') || 'open';
+    const matchesStatus = (order) => status === 'all' || (status === 'open' ? isOpen(order) : order.status === status);
+    const orders = (user.orders || []).filter((order) => (!symbol || order.symbol === symbol) && matchesStatus(order));
+    sendJson(res, 200, { orders });
+  });
+}
 
-        const entry = {
-          id: crypto.randomUUID(),
-          timestamp: new Date().toISOString(),
-          type,
-          symbol: trimmedSymbol,
-          quantity: qty,
-          price: tradePrice,
-          balanceAfter: user.balance,
-          positionAfter: holding.position,
-          realizedPnl: Number(realizedPnl.toFixed(2))
-        };
-
-        user.history = [entry, ...(user.history || [])];
-        users[username] = user;
-        writeUsers(users);
-        sendJson(res, 200, { message: '交易成功。', entry });
+function handleCancelOrder(req, res, orderId) {
+  withAuth(req, res, (username) => {
+    if (!storage.hasUser(username)) {
+      sendJson(res, 404, { error: '用户不存在。' });
+      return;
+    }
+    storage
+      .withUser(username, (user) => cancelOrder(user, orderId))
+      .then((order) => {
+        sendJson(res, 200, { message: '委托已撤销。', order });
       })
       .catch((err) => {
         sendJson(res, 400, { error: err.message });
@@ -357,243 +661,318 @@ function handleTrade(req, res) {
   });
 }
 
-const aiThemes = {
-  HOG: {
-    headline: '生猪期货AI快报',
-    drivers: ['饲料成本变动', '供给调控政策', '疫病防控动态', '消费淡旺季切换', '冻品库存变化'],
-    outcomes: [
-      {
-        direction: 'up',
-        impact: '可能推动生猪期价震荡走高',
-        advice: '可考虑逢低吸纳多单，并严格设置风险位。'
-      },
-      {
-        direction: 'up',
-        impact: '有望带动盘面延续升势',
-        advice: '顺势加仓需注意节奏，建议分批布局。'
-      },
-      {
-        direction: 'down',
-        impact: '或令生猪期价承压回落',
-        advice: '多单宜减仓观望，可适当考虑防御性空单。'
-      },
-      {
-        direction: 'down',
-        impact: '大概率触发短线回调',
-        advice: '建议锁定利润，控制杠杆等待企稳信号。'
-      }
-    ]
-  },
-  GOLD: {
-    headline: '黄金期货AI播报',
-    drivers: ['美联储利率预期', '美元指数波动', '避险需求', '实物金流入', '全球通胀走势'],
-    outcomes: [
-      {
-        direction: 'up',
-        impact: '料将支撑金价震荡上行',
-        advice: '可逢回调逐步建立多单，并关注美元走势。'
-      },
-      {
-        direction: 'up',
-        impact: '或触发突破性上涨',
-        advice: '顺势做多同时控制仓位，警惕突发消息。'
-      },
-      {
-        direction: 'down',
-        impact: '恐加剧金价回落压力',
-        advice: '建议减轻多头敞口，关注支撑位表现。'
-      },
-      {
-        direction: 'down',
-        impact: '可能引发避险情绪降温后的下行',
-        advice: '可考虑短线试空，并设置紧密止损。'
-      }
-    ]
-  },
-  MOUTAI: {
-    headline: '白酒主力AI简报',
-    drivers: ['渠道动销反馈', '批价走势', '节假日备货', '消费信心指数', '原料成本'],
-    outcomes: [
-      {
-        direction: 'up',
-        impact: '有望推升白酒主力期价稳步走强',
-        advice: '多单可持有并择机加仓，但需关注成交量。'
-      },
-      {
-        direction: 'up',
-        impact: '或令盘面重拾升势',
-        advice: '建议逢低布局多单，同时设置浮盈保护。'
-      },
-      {
-        direction: 'down',
-        impact: '可能压制价格重心下移',
-        advice: '多单需及时止盈，空单可轻仓尝试。'
-      },
-      {
-        direction: 'down',
-        impact: '大概率引发短线调整',
-        advice: '建议观望或采取空头对冲策略。'
-      }
-    ]
-  },
-  CRUDE: {
-    headline: '原油期货AI速递',
-    drivers: ['OPEC+产量指引', '全球需求预期', '地缘政治风险', '美元走势', '库存数据'],
-    outcomes: [
-      {
-        direction: 'up',
-        impact: '或推升油价震荡走高',
-        advice: '建议分批做多并关注库存数据变化。'
-      },
-      {
-        direction: 'up',
-        impact: '有望带来拉升行情',
-        advice: '顺势持有多单，但应做好风险对冲。'
-      },
-      {
-        direction: 'down',
-        impact: '可能引发油价回落',
-        advice: '多单需收紧止损，短线空单可尝试介入。'
-      },
-      {
-        direction: 'down',
-        impact: '大概率压制反弹力度',
-        advice: '以反弹做空为主，谨慎追高。'
-      }
-    ]
-  },
-  SOY: {
-    headline: '豆粕期货AI观察',
-    drivers: ['南美产量预估', '国内压榨开机率', '饲料需求', '进口成本', '远期基差'],
-    outcomes: [
-      {
-        direction: 'up',
-        impact: '预计支撑豆粕价格震荡抬升',
-        advice: '多单可逐步建立，但需留意原料供应。'
-      },
-      {
-        direction: 'up',
-        impact: '或推动盘面偏强运行',
-        advice: '建议沿趋势做多，同时关注美元粮价联动。'
-      },
-      {
-        direction: 'down',
-        impact: '可能拖累价格下行',
-        advice: '多单应减持，空单可轻仓跟进。'
-      },
-      {
-        direction: 'down',
-        impact: '大概率导致盘面承压震荡',
-        advice: '以逢高沽空为主，控制仓位防反抽。'
-      }
-    ]
-  }
-};
+function parseSymbols(searchParams) {
+  return (searchParams.get('symbols') || searchParams.get('symbol') || '')
+    .split(',')
+    .map((item) => item.trim().toUpperCase())
+    .filter(Boolean);
+}
 
-function randomAiInterval(baseMillis) {
-  const span = AI_MIN_INTERVAL + Math.random() * (AI_MAX_INTERVAL - AI_MIN_INTERVAL);
-  return baseMillis + span;
+function handleQuotes(req, res, searchParams) {
+  sendJson(res, 200, { quotes: priceEngine.getQuotes(parseSymbols(searchParams)) });
 }
 
-function createAiInsight(symbol, pool, issuedAtMillis) {
-  const driver = pool.drivers[Math.floor(Math.random() * pool.drivers.length)];
-  const outcome = pool.outcomes[Math.floor(Math.random() * pool.outcomes.length)];
-  const confidence = Math.floor(Math.random() * 41) + 55;
-  const issuedAt = new Date(issuedAtMillis).toISOString();
-  const issuedLabel = new Date(issuedAt).toLocaleString('zh-CN', { hour12: false });
-  const directionLabel = outcome.direction === 'up' ? '看涨' : '看跌';
-  const narrative = `${issuedLabel}，模型监测到${driver}，判断${outcome.impact}，置信度约为${confidence}%。`;
-  return {
-    id: crypto.randomUUID(),
-    symbol,
-    issuedAt,
-    headline: `${pool.headline}｜${directionLabel}`,
-    narrative,
-    suggestion: outcome.advice,
-    direction: outcome.direction,
-    driver,
-    impact: outcome.impact,
-    confidence
-  };
+function handleContracts(req, res) {
+  sendJson(res, 200, { contracts: listContracts() });
 }
 
-function ensureAiState(user, symbol, pool) {
-  if (!user.aiInsights) {
-    user.aiInsights = {};
+function parseTime(value) {
+  if (value === null || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error('时间参数格式不正确。');
   }
-  if (!user.aiInsights[symbol]) {
-    const initialInsight = createAiInsight(symbol, pool, Date.now());
-    user.aiInsights[symbol] = {
-      entries: [initialInsight],
-      nextRefreshAt: new Date(randomAiInterval(Date.now())).toISOString()
-    };
-  }
-  const state = user.aiInsights[symbol];
-  if (!Array.isArray(state.entries)) {
-    state.entries = [];
+  return time;
+}
+
+function handleCandles(req, res, searchParams) {
+  const symbol = (searchParams.get('symbol') || '').toUpperCase();
+  if (!getContract(symbol)) {
+    sendJson(res, 400, { error: `未知合约：${symbol}` });
+    return;
   }
-  if (!state.entries.length) {
-    const initialInsight = createAiInsight(symbol, pool, Date.now());
-    state.entries = [initialInsight];
-    state.nextRefreshAt = new Date(randomAiInterval(Date.now())).toISOString();
+  const interval = searchParams.get('interval') || '1m';
+  try {
+    const limit = Math.min(Math.max(Number(searchParams.get('limit')) || 300, 1), 1000);
+    const result = candleStore.query(symbol, interval, {
+      from: parseTime(searchParams.get('from')),
+      to: parseTime(searchParams.get('to')),
+      limit
+    });
+    sendJson(res, 200, { symbol, interval, ...result });
+  } catch (err) {
+    sendJson(res, 400, { error: err.message });
   }
-  if (!state.nextRefreshAt) {
-    const lastIssued = Date.parse(state.entries[0]?.issuedAt || Date.now());
-    const base = Number.isNaN(lastIssued) ? Date.now() : lastIssued;
-    state.nextRefreshAt = new Date(randomAiInterval(base)).toISOString();
+}
+
+function handleMarketStatus(req, res, searchParams) {
+  const symbols = parseSymbols(searchParams);
+  const statuses = {};
+  for (const symbol of symbols.length ? symbols : Object.keys(contracts)) {
+    const status = getMarketStatus(symbol);
+    if (status) {
+      statuses[symbol] = { ...status, restriction: tradingRestriction(symbol) };
+    }
   }
-  return state;
+  sendJson(res, 200, { serverTime: new Date().toISOString(), statuses });
 }
 
-function rollAiState(state, pool, symbol) {
-  const now = Date.now();
-  let nextMillis = Date.parse(state.nextRefreshAt || '');
-  if (Number.isNaN(nextMillis)) {
-    const lastIssued = Date.parse(state.entries[0]?.issuedAt || Date.now());
-    const base = Number.isNaN(lastIssued) ? Date.now() : lastIssued;
-    nextMillis = randomAiInterval(base);
+function handleNews(req, res, searchParams) {
+  const symbol = (searchParams.get('symbol') || '').toUpperCase();
+  if (!getContract(symbol)) {
+    sendJson(res, 400, { error: `未知合约：${symbol}` });
+    return;
   }
-  let iterations = 0;
-  while (nextMillis <= now && iterations < 10) {
-    const insight = createAiInsight(symbol, pool, nextMillis);
-    state.entries.unshift(insight);
-    state.entries = state.entries.slice(0, 3);
-    nextMillis = randomAiInterval(nextMillis);
-    iterations += 1;
+  sendJson(res, 200, { symbol, events: newsSchedule.list(symbol) });
+}
+
+function handleStream(req, res, searchParams) {
+  const symbols = parseSymbols(searchParams);
+  const unknown = symbols.filter((item) => !priceEngine.getQuote(item));
+  if (unknown.length) {
+    sendJson(res, 400, { error: `未知合约：${unknown.join(', ')}` });
+    return;
   }
-  state.nextRefreshAt = new Date(nextMillis).toISOString();
-  return state;
+  quoteStream.handle(req, res, symbols);
+}
+
+function insightPrefsOf(user) {
+  const prefs = user.insightPrefs || {};
+  return {
+    subscriptions: Array.isArray(prefs.subscriptions) ? prefs.subscriptions : null,
+    lastRead: prefs.lastRead || {}
+  };
+}
+
+function subscribedSymbols(prefs) {
+  const symbols = Object.keys(contracts).filter((symbol) => !getContract(symbol).suspended);
+  return prefs.subscriptions ? symbols.filter((symbol) => prefs.subscriptions.includes(symbol)) : symbols;
 }
 
 function handleAiInsights(req, res, searchParams) {
   withAuth(req, res, (username) => {
-    const users = readUsers();
-    const user = users[username];
+    const user = storage.getUser(username);
     if (!user) {
       sendJson(res, 404, { error: '用户不存在。' });
       return;
     }
-    if (!user.aiInsights) {
-      user.aiInsights = {};
-    }
     const symbol = (searchParams.get('symbol') || 'HOG').toUpperCase();
-    const pool = aiThemes[symbol] || aiThemes.HOG;
-    const state = ensureAiState(user, symbol, pool);
-    rollAiState(state, pool, symbol);
-    users[username] = user;
-    writeUsers(users);
+    if (!getContract(symbol)) {
+      sendJson(res, 400, { error: `未知合约：${symbol}` });
+      return;
+    }
+    const prefs = insightPrefsOf(user);
     sendJson(res, 200, {
       symbol,
-      insights: state.entries,
-      nextRefreshAt: state.nextRefreshAt
+      insights: insightFeed.list(symbol, AI_VISIBLE_INSIGHTS),
+      nextRefreshAt: insightFeed.nextRefreshAt(symbol),
+      upcoming: newsSchedule.upcoming(symbol),
+      unread: insightFeed.unreadCount(symbol, prefs.lastRead[symbol]),
+      subscribed: subscribedSymbols(prefs).includes(symbol)
     });
   });
 }
 
+function handleAiFeed(req, res) {
+  withAuth(req, res, (username) => {
+    const user = storage.getUser(username);
+    if (!user) {
+      sendJson(res, 404, { error: '用户不存在。' });
+      return;
+    }
+    const prefs = insightPrefsOf(user);
+    const items = subscribedSymbols(prefs)
+      .map((symbol) => ({
+        symbol,
+        insight: insightFeed.list(symbol, 1)[0] || null,
+        unread: insightFeed.unreadCount(symbol, prefs.lastRead[symbol]),
+        nextRefreshAt: insightFeed.nextRefreshAt(symbol)
+      }))
+      .filter((item) => item.insight)
+      .sort((a, b) => Date.parse(b.insight.issuedAt) - Date.parse(a.insight.issuedAt));
+    const upcoming = items.map((item) => Date.parse(item.nextRefreshAt)).filter((value) => !Number.isNaN(value));
+    sendJson(res, 200, {
+      items,
+      subscriptions: prefs.subscriptions,
+      unread: items.reduce((sum, item) => sum + item.unread, 0),
+      nextRefreshAt: upcoming.length ? new Date(Math.min(...upcoming)).toISOString() : null
+    });
+  });
+}
+
+function handleAiRead(req, res) {
+  withAuth(req, res, (username) => {
+    parseBody(req)
+      .then(async ({ symbols }) => {
+        const list = Array.isArray(symbols) ? symbols.map((item) => String(item).toUpperCase()) : [];
+        const unknown = list.filter((symbol) => !getContract(symbol));
+        if (!list.length || unknown.length) {
+          sendJson(res, 400, { error: unknown.length ? `未知合约：${unknown.join(', ')}` : '请指定合约。' });
+          return;
+        }
+        if (!storage.hasUser(username)) {
+          sendJson(res, 404, { error: '用户不存在。' });
+          return;
+        }
+        const lastRead = await storage.withUser(username, (user) => {
+          const prefs = insightPrefsOf(user);
+          for (const symbol of list) {
+            const latest = insightFeed.latestIssuedAt(symbol);
+            if (latest) prefs.lastRead[symbol] = latest;
+          }
+          user.insightPrefs = prefs;
+          return prefs.lastRead;
+        });
+        sendJson(res, 200, { lastRead });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
+}
+
+function handleAiSubscriptions(req, res) {
+  withAuth(req, res, (username) => {
+    parseBody(req)
+      .then(async ({ symbols }) => {
+        if (symbols !== null && !Array.isArray(symbols)) {
+          sendJson(res, 400, { error: '订阅列表格式不正确。' });
+          return;
+        }
+        const list = symbols === null ? null : Array.from(new Set(symbols.map((item) => String(item).toUpperCase())));
+        const unknown = (list || []).filter((symbol) => !getContract(symbol));
+        if (unknown.length) {
+          sendJson(res, 400, { error: `未知合约：${unknown.join(', ')}` });
+          return;
+        }
+        if (!storage.hasUser(username)) {
+          sendJson(res, 404, { error: '用户不存在。' });
+          return;
+        }
+        const subscriptions = await storage.withUser(username, (user) => {
+          user.insightPrefs = { ...insightPrefsOf(user), subscriptions: list };
+          return list;
+        });
+        sendJson(res, 200, { message: '订阅已更新。', subscriptions });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
+}
+
+function handleAiScorecard(req, res, searchParams) {
+  withAuth(req, res, () => {
+    const symbol = (searchParams.get('symbol') || 'HOG').toUpperCase();
+    if (!getContract(symbol)) {
+      sendJson(res, 400, { error: `未知合约：${symbol}` });
+      return;
+    }
+    sendJson(res, 200, { symbol, ...insightFeed.scorecard(symbol) });
+  });
+}
+
+function handleAdminUsers(req, res, searchParams) {
+  withAdmin(req, res, () => {
+    sendJson(res, 200, { users: adminService.listUsers(searchParams.get('q') || '') });
+  });
+}
+
+function handleAdminUserAction(req, res, target, action) {
+  withAdmin(req, res, (username) => {
+    if (!storage.hasUser(target)) {
+      sendJson(res, 404, { error: '用户不存在。' });
+      return;
+    }
+    parseBody(req)
+      .then(async ({ amount, note }) => {
+        const adjustment =
+          action === 'reset'
+            ? await adminService.resetAccount(username, target, note)
+            : await adminService.adjustBalance(username, target, amount, note);
+        sendJson(res, 200, { message: action === 'reset' ? '账户已重置。' : '余额已调整。', adjustment });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
+}
+
+function handleAdminContracts(req, res) {
+  withAdmin(req, res, () => {
+    sendJson(res, 200, { contracts: listContracts() });
+  });
+}
+
+function handleAdminAddContract(req, res) {
+  withAdmin(req, res, (username) => {
+    parseBody(req)
+      .then((payload) => {
+        const contract = adminService.createContract(username, payload);
+        sendJson(res, 200, { message: '合约已上线。', contract });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
+}
+
+function handleAdminContractAction(req, res, symbol, action) {
+  withAdmin(req, res, (username) => {
+    if (!getContract(symbol)) {
+      sendJson(res, 404, { error: '合约不存在。' });
+      return;
+    }
+    parseBody(req)
+      .then(({ note }) => {
+        const contract = adminService.updateStatus(username, symbol, action, note);
+        sendJson(res, 200, { message: '合约状态已更新。', contract });
+      })
+      .catch((err) => {
+        sendJson(res, 400, { error: err.message });
+      });
+  });
+}
+
+function handleAdminAudit(req, res, searchParams) {
+  withAdmin(req, res, () => {
+    const limit = Math.min(Number(searchParams.get('limit')) || 100, 500);
+    sendJson(res, 200, { entries: auditLog.list({ target: searchParams.get('target') || '', limit }) });
+  });
+}
+
+function routeAdmin(req, res, pathname, searchParams) {
+  const userAction = pathname.match(/^\/api\/admin\/users\/([^/]+)\/(adjust|reset)$/);
+  const contractAction = pathname.match(/^\/api\/admin\/contracts\/([^/]+)\/(suspend|list|halt|resume)$/);
+  const target = decodePathSegment((userAction || contractAction || [])[1] || '');
+  if (target === null) {
+    sendJson(res, 400, { error: '请求路径不合法。' });
+  } else if (req.method === 'GET' && pathname === '/api/admin/users') {
+    handleAdminUsers(req, res, searchParams);
+  } else if (req.method === 'POST' && userAction) {
+    handleAdminUserAction(req, res, target, userAction[2]);
+  } else if (req.method === 'GET' && pathname === '/api/admin/contracts') {
+    handleAdminContracts(req, res);
+  } else if (req.method === 'POST' && pathname === '/api/admin/contracts') {
+    handleAdminAddContract(req, res);
+  } else if (req.method === 'POST' && contractAction) {
+    handleAdminContractAction(req, res, target.toUpperCase(), contractAction[2]);
+  } else if (req.method === 'GET' && pathname === '/api/admin/audit') {
+    handleAdminAudit(req, res, searchParams);
+  } else {
+    sendJson(res, 404, { error: '接口不存在。' });
+  }
+}
+
 const server = http.createServer((req, res) => {
   const parsedUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
   const pathname = parsedUrl.pathname;
 
+  if (pathname.startsWith('/api/admin/')) {
+    routeAdmin(req, res, pathname, parsedUrl.searchParams);
+    return;
+  }
+
   if (pathname.startsWith('/api/')) {
     if (req.method === 'POST' && pathname === '/api/register') {
       handleRegister(req, res);
@@ -607,6 +986,23 @@ const server = http.createServer((req, res) => {
       handleLogout(req, res);
       return;
     }
+    if (req.method === 'GET' && pathname === '/api/sessions') {
+      handleListSessions(req, res);
+      return;
+    }
+    if (req.method === 'DELETE' && pathname.startsWith('/api/sessions/')) {
+      const sessionId = decodePathSegment(pathname.slice('/api/sessions/'.length));
+      if (sessionId === null) {
+        sendJson(res, 400, { error: '请求路径不合法。' });
+        return;
+      }
+      handleRevokeSession(req, res, sessionId);
+      return;
+    }
+    if (req.method === 'PUT' && pathname === '/api/account/settings') {
+      handleAccountSettings(req, res);
+      return;
+    }
     if (req.method === 'GET' && pathname === '/api/summary') {
       handleSummary(req, res);
       return;
@@ -615,18 +1011,96 @@ const server = http.createServer((req, res) => {
       handleHistory(req, res, parsedUrl.searchParams);
       return;
     }
+    const exportMatch = pathname.match(/^\/api\/export\/(trades|positions|statements)\.(csv|xlsx)$/);
+    if (req.method === 'GET' && exportMatch) {
+      handleExport(req, res, exportMatch[1], exportMatch[2], parsedUrl.searchParams);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/analytics') {
+      handleAnalytics(req, res, parsedUrl.searchParams);
+      return;
+    }
     if (req.method === 'POST' && pathname === '/api/trade') {
       handleTrade(req, res);
       return;
     }
+    if (req.method === 'POST' && pathname === '/api/orders') {
+      handlePlaceOrder(req, res);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/orders') {
+      handleListOrders(req, res, parsedUrl.searchParams);
+      return;
+    }
+    if (req.method === 'DELETE' && pathname.startsWith('/api/orders/')) {
+      const orderId = decodePathSegment(pathname.slice('/api/orders/'.length));
+      if (orderId === null) {
+        sendJson(res, 400, { error: '请求路径不合法。' });
+        return;
+      }
+      handleCancelOrder(req, res, orderId);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/quotes') {
+      handleQuotes(req, res, parsedUrl.searchParams);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/contracts') {
+      handleContracts(req, res);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/candles') {
+      handleCandles(req, res, parsedUrl.searchParams);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/market-status') {
+      handleMarketStatus(req, res, parsedUrl.searchParams);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/news') {
+      handleNews(req, res, parsedUrl.searchParams);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/stream') {
+      handleStream(req, res, parsedUrl.searchParams);
+      return;
+    }
     if (req.method === 'GET' && pathname === '/api/ai-insights') {
       handleAiInsights(req, res, parsedUrl.searchParams);
       return;
     }
+    if (req.method === 'GET' && pathname === '/api/ai-insights/feed') {
+      handleAiFeed(req, res);
+      return;
+    }
+    if (req.method === 'POST' && pathname === '/api/ai-insights/read') {
+      handleAiRead(req, res);
+      return;
+    }
+    if (req.method === 'PUT' && pathname === '/api/ai-insights/subscriptions') {
+      handleAiSubscriptions(req, res);
+      return;
+    }
+    if (req.method === 'GET' && pathname === '/api/ai-scorecard') {
+      handleAiScorecard(req, res, parsedUrl.searchParams);
+      return;
+    }
     sendJson(res, 404, { error: '接口不存在。' });
     return;
   }
 
+  const legacyMarket = pathname.match(/^\/markets\/([\w-]+)\.html$/);
+  if (req.method === 'GET' && legacyMarket) {
+    const symbol = findSymbolBySlug(legacyMarket[1]);
+    if (!symbol) {
+      sendText(res, 404, 'Not Found');
+      return;
+    }
+    res.writeHead(301, { Location: `/market.html?symbol=${symbol}` });
+    res.end();
+    return;
+  }
+
   if (req.method === 'GET') {
     serveStatic(req, res, pathname);
     return;
@@ -635,6 +1109,24 @@ const server = http.createServer((req, res) => {
   sendText(res, 405, 'Method Not Allowed');
 });
 
+promoteAdmins();
+priceEngine.start();
+candleStore.start();
+newsSchedule.start();
+insightFeed.start();
+equityRecorder.start();
+settlementService.start();
+setInterval(() => sessionStore.prune(), 10 * 60 * 1000).unref();
+orderMatcher.start();
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    storage.flushSync();
+    candleStore.stop();
+    process.exit(0);
+  });
+}
+
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
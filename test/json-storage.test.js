@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonStorage } = require('../lib/storage/json');
+
+function trade(id) {
+  return async (user) => {
+    user.history.unshift({ id, symbol: 'HOG' });
+    user.balance -= 1;
+  };
+}
+
+test('concurrent trades are replayed from the journal after a lost snapshot', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'futures-storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  const initial = JSON.stringify({ a: { balance: 10, history: [] }, b: { balance: 10, history: [] } });
+  fs.writeFileSync(path.join(dataDir, 'users.json'), initial);
+  const storage = createJsonStorage({ dataDir, normalize: () => false });
+
+  await Promise.all([
+    storage.withUser('a', trade('a1')),
+    storage.withUser('b', trade('b1')),
+    storage.withUser('a', trade('a2')),
+    storage.withUser('b', trade('b2'))
+  ]);
+
+  // Simulate a crash that kept the journal but lost the latest snapshot.
+  fs.writeFileSync(path.join(dataDir, 'users.json'), initial);
+  fs.writeFileSync(path.join(dataDir, 'storage-meta.json'), JSON.stringify({ journalOffset: 0 }));
+  const reloaded = createJsonStorage({ dataDir, normalize: () => false });
+  for (const username of ['a', 'b']) {
+    const user = reloaded.getUser(username);
+    assert.deepStrictEqual(
+      user.history.map((entry) => entry.id),
+      [`${username}2`, `${username}1`]
+    );
+    assert.strictEqual(user.balance, 8);
+  }
+});
+
+test('the snapshot offset covers every committed journal record', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'futures-storage-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify({ a: { balance: 10, history: [] } }));
+  const storage = createJsonStorage({ dataDir, normalize: () => false });
+  await storage.withUser('a', trade('a1'));
+  const meta = JSON.parse(fs.readFileSync(path.join(dataDir, 'storage-meta.json'), 'utf-8'));
+  assert.strictEqual(meta.journalOffset, fs.statSync(path.join(dataDir, 'trades.journal')).size);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { configureCalendar, getContract } = require('../lib/contracts');
+const { createOrder, createOrderMatcher, parseBracket } = require('../lib/orders');
+
+configureCalendar({ enabled: false });
+
+test('limit prices that round to zero are rejected', () => {
+  assert.throws(
+    () => createOrder({ symbol: 'HOG', side: 'buy', orderType: 'limit', quantity: 1, limitPrice: 2 }, {}),
+    /请填写有效的限价/
+  );
+});
+
+test('limit prices are rounded to the tick size', () => {
+  const order = createOrder({ symbol: 'HOG', side: 'buy', orderType: 'limit', quantity: 1, limitPrice: 14998 }, {});
+  assert.strictEqual(order.limitPrice, 15000);
+});
+
+test('bracket legs that round to zero are rejected', () => {
+  assert.throws(() => parseBracket({ stopLoss: 1 }, 'buy', 15000, getContract('HOG')), /请填写有效的止损价/);
+});
+
+test('bracket legs on the wrong side of the entry price are rejected', () => {
+  assert.throws(() => parseBracket({ takeProfit: 14900 }, 'buy', 15000, getContract('HOG')), /止盈价需高于成交价/);
+  assert.throws(() => parseBracket({ stopLoss: 14900 }, 'sell', 15000, getContract('HOG')), /止损价需高于成交价/);
+});
+
+test('a bracket leg crossed by the actual fill price is rejected, not attached', async () => {
+  const user = { balance: 1000000, holdings: {}, history: [], orders: [] };
+  const order = createOrder(
+    { symbol: 'HOG', side: 'buy', orderType: 'stop', quantity: 1, stopPrice: 15000, takeProfit: 15200, stopLoss: 14800 },
+    {}
+  );
+  user.orders.push(order);
+  const matcher = createOrderMatcher({
+    engine: { on() {} },
+    storage: { listUsernames: () => ['a'], getUser: () => user, withUser: async (name, task) => task(user) },
+    getPrice: () => 15300
+  });
+  await matcher.sweep();
+  assert.strictEqual(order.status, 'filled');
+  const takeProfit = user.orders.find((item) => item.parentId === order.id && item.orderType === 'limit');
+  const stopLoss = user.orders.find((item) => item.parentId === order.id && item.orderType === 'stop');
+  assert.strictEqual(takeProfit.status, 'rejected');
+  assert.strictEqual(stopLoss.status, 'open');
+});
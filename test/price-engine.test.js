@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { contracts, correlations } = require('../lib/contracts');
+const { createPriceEngine } = require('../lib/price-engine');
+
+const NOW = Date.parse('2026-03-02T02:00:00Z');
+
+function pricePath(seed, ticks) {
+  const engine = createPriceEngine(contracts, { seed, correlations, now: () => NOW });
+  const path = [];
+  for (let i = 0; i < ticks; i += 1) {
+    path.push(engine.tick().map((quote) => quote.price));
+  }
+  return path;
+}
+
+function correlation(a, b) {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const ma = mean(a);
+  const mb = mean(b);
+  let covariance = 0;
+  let va = 0;
+  let vb = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    covariance += (a[i] - ma) * (b[i] - mb);
+    va += (a[i] - ma) ** 2;
+    vb += (b[i] - mb) ** 2;
+  }
+  return covariance / Math.sqrt(va * vb);
+}
+
+test('the same seed replays the same prices', () => {
+  assert.deepStrictEqual(pricePath('replay', 500), pricePath('replay', 500));
+  assert.notDeepStrictEqual(pricePath('replay', 500), pricePath('other', 500));
+});
+
+test('tick returns follow the configured correlations', () => {
+  const symbols = Object.keys(contracts);
+  const path = pricePath('correlation', 20000);
+  const returns = symbols.map((_, index) =>
+    path.slice(1).map((prices, tick) => Math.log(prices[index] / path[tick][index]))
+  );
+  correlations.forEach(([a, b, rho]) => {
+    const measured = correlation(returns[symbols.indexOf(a)], returns[symbols.indexOf(b)]);
+    assert.ok(Math.abs(measured - rho) < 0.04, `${a}/${b}: measured ${measured.toFixed(3)}, configured ${rho}`);
+  });
+});
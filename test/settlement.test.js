@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { configureCalendar, setContractStatus } = require('../lib/contracts');
+const { enforceMarginCall } = require('../lib/settlement');
+
+configureCalendar({ enabled: false });
+
+function underMarginUser() {
+  return {
+    balance: 0,
+    holdings: { HOG: { position: 5, averagePrice: 15000 } },
+    history: [],
+    orders: [],
+    marginCall: { issuedAt: '2026-01-01T00:00:00.000Z', deadline: '2026-01-01T01:00:00.000Z' }
+  };
+}
+
+test('liquidation waits while the contract is halted', (t) => {
+  setContractStatus('HOG', { halt: { reason: '测试' } });
+  t.after(() => setContractStatus('HOG', { halt: null }));
+  const user = underMarginUser();
+  const entries = enforceMarginCall(user, () => 15000);
+  assert.deepStrictEqual(entries, []);
+  assert.strictEqual(user.holdings.HOG.position, 5);
+  assert.ok(user.marginCall);
+});
+
+test('liquidation fills once trading resumes', () => {
+  const user = underMarginUser();
+  const entries = enforceMarginCall(user, () => 14000);
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].price, 14000);
+  assert.ok(entries[0].liquidation);
+  assert.strictEqual(user.marginCall, undefined);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeUsers } = require('../lib/users');
+
+test('legacy spot holdings are closed with a migration trade record', () => {
+  const users = { alice: { balance: 1000, position: 2, averagePrice: 500, history: [] } };
+  assert.ok(normalizeUsers(users));
+  const user = users.alice;
+  assert.strictEqual(user.balance, 2000);
+  assert.deepStrictEqual(user.holdings, {});
+  assert.strictEqual(user.history.length, 1);
+  const [entry] = user.history;
+  assert.strictEqual(entry.migration, true);
+  assert.strictEqual(entry.type, 'sell');
+  assert.strictEqual(entry.symbol, 'HOG');
+  assert.strictEqual(entry.quantity, 2);
+  assert.strictEqual(entry.price, 500);
+  assert.strictEqual(entry.balanceAfter, user.balance);
+});